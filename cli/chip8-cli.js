@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * chip8-cli - Run a CHIP-8 ROM headlessly and dump the final machine state
+ *
+ * Usage: node cli/chip8-cli.js <rom> [options]
+ *
+ *   --cycles N            Run N instructions
+ *   --frames N            Run N 60Hz frames of emulated time (default: 60 frames)
+ *   --ips N               Instructions per second (default: 600)
+ *   --quirks PRESET       Quirk preset: vip, chip48, schip or modern
+ *   --xochip              Run in XO-CHIP mode (64 KB memory)
+ *   --halt-on-fault       Stop at the first CPU fault instead of carrying on
+ *   --keys SCRIPT         Key presses as TIME:KEY[:DURATION] separated by commas,
+ *                         e.g. "30:5,90:a:10" (TIME and DURATION count cycles or frames)
+ *   --memory START:LENGTH Dump a memory range, e.g. 0x200:64
+ *   --display ascii|pbm   Dump the display as ASCII art or as a plain PBM image
+ *   --output FILE         Write the display dump to FILE instead of stdout
+ *   --no-registers        Don't dump the registers
+ *
+ * Exit status: 0 on success, 1 for bad arguments or an unloadable ROM, and 2
+ * if the ROM raised a CPU fault (whether or not --halt-on-fault stopped it).
+ */
+const fs = require('fs');
+const { Chip8, QUIRK_PRESETS } = require('../core/chip8.js');
+
+function usage(message) {
+  if (message) {
+    console.error(`chip8-cli: ${message}`);
+  }
+  console.error('Usage: node cli/chip8-cli.js <rom> [--cycles N | --frames N] [--ips N] [--quirks PRESET] [--xochip] [--halt-on-fault]');
+  console.error('       [--keys TIME:KEY[:DURATION],...] [--memory START:LENGTH] [--display ascii|pbm] [--output FILE] [--no-registers]');
+  process.exit(1);
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (value === undefined || value.trim() === '' || !Number.isInteger(number) || number < 0) {
+    usage(`${name} expects a non-negative integer`);
+  }
+  return number;
+}
+
+function parseArgs(argv) {
+  const options = { unit: 'frames', count: 60, ips: 600, keys: [], registers: true };
+
+  for (let a = 0; a < argv.length; a++) {
+    const arg = argv[a];
+    switch (arg) {
+      case '--cycles':
+      case '--frames':
+        options.unit = arg.slice(2);
+        options.count = parseNumber(argv[++a], arg);
+        break;
+      case '--ips':
+        options.ips = parseNumber(argv[++a], arg);
+        if (options.ips === 0) {
+          usage('--ips must be at least 1');
+        }
+        break;
+      case '--quirks':
+        options.quirks = argv[++a];
+        if (!QUIRK_PRESETS[options.quirks]) {
+          usage(`unknown quirk preset "${options.quirks}" (expected ${Object.keys(QUIRK_PRESETS).join(', ')})`);
+        }
+        break;
+      case '--xochip':
+        options.xoChip = true;
+        break;
+      case '--halt-on-fault':
+        options.haltOnFault = true;
+        break;
+      case '--keys':
+        options.keys = parseKeyScript(argv[++a] || '');
+        break;
+      case '--memory': {
+        const parts = (argv[++a] || '').split(':');
+        if (parts.length !== 2) {
+          usage('--memory expects START:LENGTH, e.g. 0x200:64');
+        }
+        const start = parseNumber(parts[0], '--memory START');
+        const length = parseNumber(parts[1], '--memory LENGTH');
+        if (length < 1) {
+          usage('--memory LENGTH must be at least 1');
+        }
+        options.memory = { start, length };
+        break;
+      }
+      case '--display':
+        options.display = argv[++a];
+        if (options.display !== 'ascii' && options.display !== 'pbm') {
+          usage('--display expects ascii or pbm');
+        }
+        break;
+      case '--output':
+        options.output = argv[++a];
+        break;
+      case '--no-registers':
+        options.registers = false;
+        break;
+      default:
+        if (arg.startsWith('--') || options.rom) {
+          usage(`unexpected argument "${arg}"`);
+        }
+        options.rom = arg;
+    }
+  }
+
+  if (!options.rom) {
+    usage('no ROM given');
+  }
+  return options;
+}
+
+// "30:5,90:a:10" -> [{ time: 30, key: 0x5, duration: 1 }, { time: 90, key: 0xA, duration: 10 }]
+function parseKeyScript(script) {
+  return script.split(',').filter(step => step.trim() !== '').map(step => {
+    const [time, key, duration = '1'] = step.trim().split(':');
+    const keyCode = parseInt(key, 16);
+    if (!/^\d+$/.test(time) || !/^[0-9a-f]$/i.test(key || '') || !/^\d+$/.test(duration)) {
+      usage(`bad key step "${step}" (expected TIME:KEY[:DURATION])`);
+    }
+    return { time: Number(time), key: keyCode, duration: Number(duration) };
+  });
+}
+
+// Press and release keys according to the script at the given time
+function applyKeys(chip8, keys, time) {
+  keys.forEach(({ time: pressAt, key, duration }) => {
+    if (time === pressAt) {
+      chip8.keyPress(key);
+    }
+    if (time === pressAt + duration) {
+      chip8.keyRelease(key);
+    }
+  });
+}
+
+function run(chip8, options) {
+  chip8.instructionsPerSecond = options.ips;
+
+  for (let time = 0; time < options.count && !chip8.halted; time++) {
+    applyKeys(chip8, options.keys, time);
+
+    if (options.unit === 'frames') {
+      chip8.emulateCycle();
+    } else {
+      // The virtual clock ticks the timers at 60Hz relative to the instruction rate
+      chip8.step();
+    }
+  }
+}
+
+function hex(value, width) {
+  return value.toString(16).padStart(width, '0');
+}
+
+function formatRegisters(chip8) {
+  const lines = [];
+  for (let row = 0; row < 16; row += 8) {
+    lines.push(chip8.v.slice(row, row + 8).map((value, reg) => `V${(row + reg).toString(16).toUpperCase()}=${hex(value, 2)}`).join(' '));
+  }
+  lines.push(`I=${hex(chip8.i, 4)} PC=${hex(chip8.pc, 4)} SP=${chip8.sp} DT=${chip8.delayTimer} ST=${chip8.soundTimer}`);
+  lines.push(`Stack: ${chip8.stack.slice(0, chip8.sp).map(addr => hex(addr, 4)).join(' ') || '(empty)'}`);
+  if (chip8.fault) {
+    lines.push(`Halted by fault: ${chip8.fault.message}`);
+  } else if (chip8.halted) {
+    lines.push('Halted (00FD)');
+  } else if (chip8.waitingForKeyPress) {
+    lines.push(`Waiting for key press into V${chip8.keyRegister.toString(16).toUpperCase()}`);
+  }
+  return lines.join('\n');
+}
+
+function formatMemory(chip8, { start, length }) {
+  const lines = [];
+  for (let addr = start; addr < start + length && addr < chip8.memory.length; addr += 16) {
+    const end = Math.min(addr + 16, start + length, chip8.memory.length);
+    const bytes = chip8.memory.slice(addr, end).map(byte => hex(byte, 2)).join(' ');
+    lines.push(`${hex(addr, 4)}: ${bytes}`);
+  }
+  return lines.join('\n');
+}
+
+// One character per pixel; XO-CHIP plane combinations get their own character
+function displayToASCII(chip8) {
+  const characters = ['.', '#', '+', '@'];
+  return chip8.display.map(row => row.map(pixel => characters[pixel]).join('')).join('\n') + '\n';
+}
+
+// Plain (P1) portable bitmap, any lit plane counts as black
+function displayToPBM(chip8) {
+  const rows = chip8.display.map(row => row.map(pixel => (pixel ? '1' : '0')).join(' '));
+  return `P1\n${chip8.displayWidth} ${chip8.displayHeight}\n${rows.join('\n')}\n`;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const chip8 = new Chip8();
+  if (options.quirks) {
+    chip8.setQuirkPreset(options.quirks);
+  }
+  if (options.xoChip) {
+    chip8.setXOChipMode(true);
+  }
+  if (options.memory && options.memory.start >= chip8.memory.length) {
+    usage(`--memory START is past the end of memory (0x${chip8.memory.length.toString(16)} bytes)`);
+  }
+  chip8.haltOnFault = Boolean(options.haltOnFault);
+  let faulted = false;
+  chip8.on('fault', (fault) => {
+    faulted = true;
+    console.error(`fault: ${fault.message}`);
+  });
+
+  try {
+    chip8.loadROM(new Uint8Array(fs.readFileSync(options.rom)));
+  } catch (error) {
+    console.error(`chip8-cli: ${error.message}`);
+    process.exit(1);
+  }
+
+  run(chip8, options);
+
+  const output = [];
+  if (options.registers) {
+    output.push(formatRegisters(chip8));
+  }
+  if (options.memory) {
+    output.push(formatMemory(chip8, options.memory));
+  }
+  if (output.length) {
+    console.log(output.join('\n\n'));
+  }
+
+  if (options.display) {
+    const image = options.display === 'pbm' ? displayToPBM(chip8) : displayToASCII(chip8);
+    if (options.output) {
+      fs.writeFileSync(options.output, image);
+    } else {
+      process.stdout.write((output.length ? '\n' : '') + image);
+    }
+  }
+
+  if (faulted) {
+    process.exitCode = 2;
+  }
+}
+
+main();
@@ -0,0 +1,298 @@
+/**
+ * Assembler - Turns CHIP-8 assembly back into bytes
+ *
+ * The syntax is the one disassembleInstruction() prints (CLS, LD V3, 1f,
+ * DRW V0, V1, 5, LD [I], Va, ...), so disassembled code can be reassembled
+ * unchanged. Mnemonics and registers are case-insensitive.
+ *
+ * Numbers are hex, bare as the disassembler prints them or with a 0x prefix;
+ * 0b marks binary. Operands may also be labels, optionally plus or minus a
+ * number (label names must not look like hex numbers). A line is
+ *
+ *   [label:] [instruction | directive] [; comment]
+ *
+ * with the directives org ADDRESS, db BYTE, ... and dw WORD, ... (big-endian).
+ * assemble() reports every error it finds with its line number instead of
+ * stopping at the first one.
+ */
+const ASSEMBLER_REGISTER = /^V([0-9A-F])$/i;
+const ASSEMBLER_LABEL = /^[A-Z_.][\w.]*$/i;
+const ASSEMBLER_NUMBER = /^(0x[0-9A-F]+|0b[01]+|[0-9A-F]+)$/i;
+const ASSEMBLER_RESERVED = /^(V[0-9A-F]|I|DT|ST|K|F|HF|B|R|LONG)$/i;
+
+// Instructions without operands
+const ASSEMBLER_IMPLIED = {
+  CLS: 0x00E0, RET: 0x00EE, SCR: 0x00FB, SCL: 0x00FC, EXIT: 0x00FD, LOW: 0x00FE, HIGH: 0x00FF, AUDIO: 0xF002
+};
+
+// Register-to-register ALU instructions (8XYN), plus the XO-CHIP register range saves (5XYN)
+const ASSEMBLER_REGISTER_PAIRS = {
+  OR: 0x8001, AND: 0x8002, XOR: 0x8003, SUB: 0x8005, SHR: 0x8006, SUBN: 0x8007, SHL: 0x800E,
+  SAVE: 0x5002, LOAD: 0x5003
+};
+
+// LD forms with a fixed operand on one side: [first operand, second operand, opcode]
+const ASSEMBLER_LD_FORMS = [
+  ['Vx', 'DT', 0xF007], ['Vx', 'K', 0xF00A], ['DT', 'Vx', 0xF015], ['ST', 'Vx', 0xF018],
+  ['F', 'Vx', 0xF029], ['HF', 'Vx', 0xF030], ['B', 'Vx', 0xF033], ['[I]', 'Vx', 0xF055],
+  ['Vx', '[I]', 0xF065], ['R', 'Vx', 0xF075], ['Vx', 'R', 0xF085]
+];
+
+class Assembler {
+  /**
+   * Assemble source text. Options: origin (default 0x200) and symbols, a Map or
+   * object of predefined label addresses. Returns { segments, labels, errors },
+   * where segments are { address, bytes } runs and errors are { line, message }.
+   */
+  static assemble(source, { origin = 0x200, symbols = null } = {}) {
+    const labels = new Map(symbols instanceof Map ? symbols : Object.entries(symbols || {}));
+    const defined = new Set();
+    const errors = [];
+    const statements = [];
+
+    // Pass 1: parse every line, lay out addresses and collect labels
+    let address = origin;
+    source.split(/\r?\n/).forEach((text, index) => {
+      const line = index + 1;
+      try {
+        let code = text.replace(/;.*$/, '').trim();
+
+        const labelMatch = code.match(/^([^\s:,]+):\s*(.*)$/);
+        if (labelMatch) {
+          const name = labelMatch[1];
+          if (!ASSEMBLER_LABEL.test(name) || ASSEMBLER_NUMBER.test(name) || ASSEMBLER_RESERVED.test(name)) {
+            throw new Error(`Invalid label name "${name}"`);
+          }
+          if (defined.has(name)) {
+            throw new Error(`Label "${name}" is already defined`);
+          }
+          defined.add(name);
+          labels.set(name, address);
+          code = labelMatch[2];
+        }
+        if (code === '') return;
+
+        const spaceAt = code.search(/\s/);
+        const mnemonic = (spaceAt === -1 ? code : code.slice(0, spaceAt)).toUpperCase();
+        const operandText = spaceAt === -1 ? '' : code.slice(spaceAt).trim();
+        const operands = operandText === '' ? [] : operandText.split(',').map(operand => operand.trim());
+
+        if (mnemonic === 'ORG') {
+          Assembler.expectOperands(operands, 1);
+          address = Assembler.value(operands[0], labels, 0xFFFF, 'Address');
+          return;
+        }
+
+        const size = mnemonic === 'DB' ? operands.length
+          : mnemonic === 'DW' ? operands.length * 2
+          : Assembler.isLongLoad(mnemonic, operands) ? 4 : 2;
+        if ((mnemonic === 'DB' || mnemonic === 'DW') && operands.length === 0) {
+          throw new Error(`${mnemonic.toLowerCase()} needs at least one value`);
+        }
+
+        statements.push({ line, address, mnemonic, operands });
+        address += size;
+      } catch (error) {
+        errors.push({ line, message: error.message });
+      }
+    });
+
+    // Pass 2: encode, now that every label is known
+    const segments = [];
+    statements.forEach(({ line, address, mnemonic, operands }) => {
+      try {
+        const bytes = Assembler.encode(mnemonic, operands, labels);
+        const last = segments[segments.length - 1];
+        if (last && last.address + last.bytes.length === address) {
+          last.bytes.push(...bytes);
+        } else {
+          segments.push({ address, bytes });
+        }
+      } catch (error) {
+        errors.push({ line, message: error.message });
+      }
+    });
+
+    errors.sort((a, b) => a.line - b.line);
+    return { segments, labels, errors };
+  }
+
+  static isLongLoad(mnemonic, operands) {
+    return mnemonic === 'LD' && operands.length === 2 && operands[0].toUpperCase() === 'I' && /^long\s/i.test(operands[1]);
+  }
+
+  static expectOperands(operands, count) {
+    if (operands.length !== count) {
+      throw new Error(`Expected ${count} operand${count === 1 ? '' : 's'}, found ${operands.length}`);
+    }
+  }
+
+  /**
+   * The value of a number, a label, or a label plus or minus a number
+   */
+  static evaluate(text, labels) {
+    const terms = text.replace(/\s+/g, '').split(/(?=[+-])/);
+    let value = 0;
+
+    terms.forEach(term => {
+      const sign = term[0] === '-' ? -1 : 1;
+      const body = term.replace(/^[+-]/, '');
+
+      if (ASSEMBLER_NUMBER.test(body)) {
+        value += sign * (/^0b/i.test(body) ? parseInt(body.slice(2), 2) : parseInt(body, 16));
+      } else if (labels.has(body)) {
+        value += sign * labels.get(body);
+      } else if (ASSEMBLER_LABEL.test(body)) {
+        throw new Error(`Unknown label "${body}"`);
+      } else {
+        throw new Error(`Invalid value "${text}"`);
+      }
+    });
+
+    return value;
+  }
+
+  static value(text, labels, max, what) {
+    const value = Assembler.evaluate(text, labels);
+    if (value < 0 || value > max) {
+      throw new Error(`${what} ${text} is out of range (0-${max.toString(16)})`);
+    }
+    return value;
+  }
+
+  static register(text) {
+    const match = text.match(ASSEMBLER_REGISTER);
+    return match ? parseInt(match[1], 16) : null;
+  }
+
+  /**
+   * The bytes of one instruction or data directive
+   */
+  static encode(mnemonic, operands, labels) {
+    const word = (opcode) => [opcode >> 8, opcode & 0xFF];
+    const reg = (text) => {
+      const register = Assembler.register(text);
+      if (register === null) throw new Error(`Expected a register V0-VF, found "${text}"`);
+      return register;
+    };
+    const byte = (text) => Assembler.value(text, labels, 0xFF, 'Byte');
+    const address = (text) => Assembler.value(text, labels, 0xFFF, 'Address');
+    const nibble = (text) => Assembler.value(text, labels, 0xF, 'Value');
+    const [a, b, c] = operands;
+    const upper = operands.map(operand => operand.toUpperCase());
+
+    if (mnemonic === 'DB') {
+      return operands.map(byte);
+    }
+    if (mnemonic === 'DW') {
+      return operands.flatMap(operand => word(Assembler.value(operand, labels, 0xFFFF, 'Word')));
+    }
+
+    if (ASSEMBLER_IMPLIED[mnemonic] !== undefined) {
+      Assembler.expectOperands(operands, 0);
+      return word(ASSEMBLER_IMPLIED[mnemonic]);
+    }
+
+    if (ASSEMBLER_REGISTER_PAIRS[mnemonic] !== undefined) {
+      Assembler.expectOperands(operands, 2);
+      return word(ASSEMBLER_REGISTER_PAIRS[mnemonic] | (reg(a) << 8) | (reg(b) << 4));
+    }
+
+    switch (mnemonic) {
+      case 'SCD':
+      case 'SCU':
+        Assembler.expectOperands(operands, 1);
+        return word((mnemonic === 'SCD' ? 0x00C0 : 0x00D0) | nibble(a));
+      case 'SYS':
+        Assembler.expectOperands(operands, 1);
+        return word(address(a));
+      case 'CALL':
+        Assembler.expectOperands(operands, 1);
+        return word(0x2000 | address(a));
+      case 'JP':
+        if (operands.length === 2) {
+          if (upper[0] !== 'V0') throw new Error('A computed jump is written JP V0, address');
+          return word(0xB000 | address(b));
+        }
+        Assembler.expectOperands(operands, 1);
+        return word(0x1000 | address(a));
+      case 'SE':
+      case 'SNE': {
+        Assembler.expectOperands(operands, 2);
+        const x = reg(a) << 8;
+        const y = Assembler.register(b);
+        if (y !== null) {
+          return word((mnemonic === 'SE' ? 0x5000 : 0x9000) | x | (y << 4));
+        }
+        return word((mnemonic === 'SE' ? 0x3000 : 0x4000) | x | byte(b));
+      }
+      case 'ADD': {
+        Assembler.expectOperands(operands, 2);
+        if (upper[0] === 'I') return word(0xF01E | (reg(b) << 8));
+        const x = reg(a) << 8;
+        const y = Assembler.register(b);
+        return word(y !== null ? 0x8004 | x | (y << 4) : 0x7000 | x | byte(b));
+      }
+      case 'RND':
+        Assembler.expectOperands(operands, 2);
+        return word(0xC000 | (reg(a) << 8) | byte(b));
+      case 'DRW':
+        Assembler.expectOperands(operands, 3);
+        return word(0xD000 | (reg(a) << 8) | (reg(b) << 4) | nibble(c));
+      case 'SKP':
+      case 'SKNP':
+        Assembler.expectOperands(operands, 1);
+        return word((mnemonic === 'SKP' ? 0xE09E : 0xE0A1) | (reg(a) << 8));
+      case 'PLANE':
+        Assembler.expectOperands(operands, 1);
+        return word(0xF001 | (nibble(a) << 8));
+      case 'PITCH':
+        Assembler.expectOperands(operands, 1);
+        return word(0xF03A | (reg(a) << 8));
+      case 'LD':
+        Assembler.expectOperands(operands, 2);
+        return Assembler.encodeLoad(a, b, upper, labels);
+    }
+
+    throw new Error(`Unknown instruction "${mnemonic}"`);
+  }
+
+  static encodeLoad(a, b, upper, labels) {
+    const word = (opcode) => [opcode >> 8, opcode & 0xFF];
+
+    if (upper[0] === 'I') {
+      const long = b.match(/^long\s+(.+)$/i);
+      if (long) {
+        const target = Assembler.value(long[1], labels, 0xFFFF, 'Address');
+        return [0xF0, 0x00, ...word(target)];
+      }
+      return word(0xA000 | Assembler.value(b, labels, 0xFFF, 'Address'));
+    }
+
+    // Fixed forms such as LD DT, Vx and LD Vx, [I]
+    for (const [first, second, opcode] of ASSEMBLER_LD_FORMS) {
+      const registerFirst = first === 'Vx';
+      const fixed = registerFirst ? second : first;
+      const register = registerFirst ? a : b;
+      if (upper[registerFirst ? 1 : 0] === fixed) {
+        const x = Assembler.register(register);
+        if (x === null) throw new Error(`Expected a register V0-VF, found "${register}"`);
+        return word(opcode | (x << 8));
+      }
+    }
+
+    const x = Assembler.register(a);
+    if (x === null) {
+      throw new Error(`Can't load into "${a}"`);
+    }
+    const y = Assembler.register(b);
+    if (y !== null) {
+      return word(0x8000 | (x << 8) | (y << 4));
+    }
+    return word(0x6000 | (x << 8) | Assembler.value(b, labels, 0xFF, 'Byte'));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Assembler };
+}
@@ -0,0 +1,113 @@
+/**
+ * Beeper - Plays a tone while the sound timer is running
+ *
+ * The tone is a Web Audio oscillator feeding a gain node. Rather than
+ * starting and stopping the oscillator for every beep, the gain is ramped
+ * up and down, which avoids clicks. The audio context is only created on the
+ * first beep, as browsers won't start audio before the page is interacted with.
+ */
+const BEEPER_WAVEFORMS = ['square', 'sine', 'triangle', 'sawtooth'];
+
+class Beeper {
+  constructor() {
+    this.frequency = 440;        // Hz
+    this.waveform = 'square';    // One of BEEPER_WAVEFORMS
+    this.volume = 0.25;          // 0 to 1
+    this.muted = false;
+    this.playing = false;        // Whether the tone is currently audible
+
+    this.context = null;
+    this.oscillator = null;
+    this.gain = null;
+  }
+
+  /**
+   * Whether Web Audio exists in this environment
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+  }
+
+  // Create the audio graph on first use
+  ensureContext() {
+    if (this.context) return true;
+    if (!Beeper.isSupported()) return false;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    this.context = new AudioContextClass();
+
+    this.gain = this.context.createGain();
+    this.gain.gain.value = 0;
+    this.gain.connect(this.context.destination);
+
+    this.oscillator = this.context.createOscillator();
+    this.oscillator.type = this.waveform;
+    this.oscillator.frequency.value = this.frequency;
+    this.oscillator.connect(this.gain);
+    this.oscillator.start();
+    return true;
+  }
+
+  /**
+   * Play or silence the tone. Called with whether the sound timer is non-zero.
+   */
+  update(active) {
+    const audible = active && !this.muted && this.volume > 0;
+    if (audible === this.playing) return;
+    if (audible && !this.ensureContext()) return;
+    if (!this.context) return;
+
+    this.playing = audible;
+    if (this.context.state === 'suspended') {
+      this.context.resume();
+    }
+
+    // A short ramp instead of a jump avoids clicks at the start and end of a beep
+    const now = this.context.currentTime;
+    this.gain.gain.cancelScheduledValues(now);
+    this.gain.gain.setValueAtTime(this.gain.gain.value, now);
+    this.gain.gain.linearRampToValueAtTime(audible ? this.volume : 0, now + 0.005);
+  }
+
+  /**
+   * Silence the tone
+   */
+  stop() {
+    this.update(false);
+  }
+
+  setFrequency(frequency) {
+    this.frequency = frequency;
+    if (this.oscillator) {
+      this.oscillator.frequency.setValueAtTime(frequency, this.context.currentTime);
+    }
+  }
+
+  setWaveform(waveform) {
+    if (!BEEPER_WAVEFORMS.includes(waveform)) {
+      throw new Error(`Unknown waveform: ${waveform}`);
+    }
+    this.waveform = waveform;
+    if (this.oscillator) {
+      this.oscillator.type = waveform;
+    }
+  }
+
+  setVolume(volume) {
+    this.volume = Math.min(1, Math.max(0, volume));
+    if (this.playing) {
+      this.gain.gain.setValueAtTime(this.volume, this.context.currentTime);
+    }
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    if (muted) {
+      this.stop();
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Beeper, BEEPER_WAVEFORMS };
+}
@@ -0,0 +1,179 @@
+/**
+ * BreakpointManager - Address breakpoints with conditions and hit counts
+ *
+ * Breakpoints are checked after every instruction, against the address of the
+ * next one, so they fire while stepping, inside an emulateCycle() batch and
+ * under the real-time scheduler alike. A hit sets chip8.breakRequested, which
+ * stops whichever of those is running before the instruction executes.
+ * Nothing has moved the PC onto the first instruction after a reset or a load,
+ * so the owner asks for that one to be checked when the next run starts.
+ */
+
+// In Node the expression compiler is a module rather than a global
+const compileBreakpointCondition = typeof compileExpression === 'function'
+  ? compileExpression
+  : require('./expression.js').compileExpression;
+
+class BreakpointManager {
+  constructor(chip8) {
+    this.chip8 = chip8;
+    this.breakpoints = new Map();   // Address -> breakpoint
+    this.lastHit = null;            // Breakpoint that stopped execution last
+    this.onHit = null;              // Called with the breakpoint on each hit
+    this.startCheckPending = false; // Check the PC when the next run starts
+
+    this.beforeInstruction = () => { this.startCheckPending = false; };
+    this.afterInstruction = () => this.check();
+    chip8.on('beforeInstruction', this.beforeInstruction);
+    chip8.on('afterInstruction', this.afterInstruction);
+  }
+
+  /**
+   * Stop checking breakpoints
+   */
+  detach() {
+    this.chip8.off('beforeInstruction', this.beforeInstruction);
+    this.chip8.off('afterInstruction', this.afterInstruction);
+  }
+
+  /**
+   * Add a breakpoint, or return the existing one at the address.
+   * Options: enabled, condition (expression text) and hitCount.
+   */
+  add(address, options = {}) {
+    let breakpoint = this.breakpoints.get(address);
+    if (!breakpoint) {
+      breakpoint = { address, enabled: true, condition: '', test: null, hitCount: 0, hits: 0 };
+      this.breakpoints.set(address, breakpoint);
+    }
+
+    if (options.enabled !== undefined) breakpoint.enabled = options.enabled;
+    if (options.condition !== undefined) this.setCondition(address, options.condition);
+    if (options.hitCount !== undefined) this.setHitCount(address, options.hitCount);
+    return breakpoint;
+  }
+
+  remove(address) {
+    if (this.lastHit && this.lastHit.address === address) {
+      this.lastHit = null;
+    }
+    return this.breakpoints.delete(address);
+  }
+
+  /**
+   * Add a breakpoint at the address, or remove the one that is there.
+   * Returns the new breakpoint, or null if one was removed.
+   */
+  toggle(address) {
+    if (this.breakpoints.has(address)) {
+      this.remove(address);
+      return null;
+    }
+    return this.add(address);
+  }
+
+  get(address) {
+    return this.breakpoints.get(address) || null;
+  }
+
+  /**
+   * Whether an enabled breakpoint is set at the address
+   */
+  has(address) {
+    const breakpoint = this.breakpoints.get(address);
+    return Boolean(breakpoint && breakpoint.enabled);
+  }
+
+  /**
+   * All breakpoints, by address
+   */
+  list() {
+    return [...this.breakpoints.values()].sort((a, b) => a.address - b.address);
+  }
+
+  clear() {
+    this.breakpoints.clear();
+    this.lastHit = null;
+  }
+
+  setEnabled(address, enabled) {
+    const breakpoint = this.breakpoints.get(address);
+    if (breakpoint) breakpoint.enabled = enabled;
+  }
+
+  /**
+   * Set the condition expression (see compileExpression); an empty string removes it.
+   * Throws if the expression doesn't parse, leaving the old condition in place.
+   */
+  setCondition(address, condition) {
+    const breakpoint = this.breakpoints.get(address);
+    if (!breakpoint) return;
+
+    const text = condition.trim();
+    breakpoint.test = text ? compileBreakpointCondition(text) : null;
+    breakpoint.condition = text;
+  }
+
+  /**
+   * Only break once the breakpoint has been reached this many times (0 or 1: every time)
+   */
+  setHitCount(address, hitCount) {
+    const breakpoint = this.breakpoints.get(address);
+    if (!breakpoint) return;
+
+    if (!Number.isInteger(hitCount) || hitCount < 0) {
+      throw new Error('Hit count must be a non-negative integer');
+    }
+    breakpoint.hitCount = hitCount;
+  }
+
+  /**
+   * Zero every breakpoint's hit counter
+   */
+  resetHits() {
+    this.breakpoints.forEach(breakpoint => { breakpoint.hits = 0; });
+    this.lastHit = null;
+  }
+
+  /**
+   * Check the current PC when the next run starts, unless an instruction runs
+   * first. Call after a reset or a load.
+   */
+  checkOnNextRun() {
+    this.startCheckPending = true;
+  }
+
+  /**
+   * A run is starting: check the current PC if checkOnNextRun() asked for it.
+   * Returns true if execution should not start.
+   */
+  checkRunStart() {
+    if (!this.startCheckPending) return false;
+    this.startCheckPending = false;
+    return this.check();
+  }
+
+  /**
+   * Check the breakpoint at the current PC. Returns true if execution should stop.
+   */
+  check() {
+    const chip8 = this.chip8;
+    const breakpoint = this.breakpoints.get(chip8.pc);
+    if (!breakpoint || !breakpoint.enabled) return false;
+    if (breakpoint.test && !breakpoint.test(chip8)) return false;
+
+    breakpoint.hits++;
+    if (breakpoint.hits < breakpoint.hitCount) return false;
+
+    this.lastHit = breakpoint;
+    chip8.breakRequested = true;
+    if (this.onHit) {
+      this.onHit(breakpoint);
+    }
+    return true;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BreakpointManager };
+}
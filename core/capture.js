@@ -0,0 +1,228 @@
+/**
+ * Capture - File formats for exporting display frames
+ *
+ * GifEncoder writes an animated, looping GIF89a. Every frame covers the whole
+ * image and uses one global color table, so a frame is just a list of color
+ * indices. Frames identical to the previous one are merged into it by
+ * lengthening its delay.
+ *
+ * ZipWriter packs files into a zip archive without compressing them, which is
+ * all a set of PNG files (compressed already) needs.
+ */
+const GIF_MAX_CODES = 4096;   // LZW codes are at most 12 bits
+
+class GifEncoder {
+  /**
+   * width and height in pixels; palette a list of up to 256 [r, g, b] colors
+   */
+  constructor(width, height, palette) {
+    this.width = width;
+    this.height = height;
+    this.palette = palette;
+    this.colorBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+    this.frames = [];   // { indices, delay }
+  }
+
+  /**
+   * Add a frame of width * height color indices, shown for delay hundredths of a second
+   */
+  addFrame(indices, delay) {
+    const last = this.frames[this.frames.length - 1];
+    if (last && last.delay + delay <= 0xFFFF && GifEncoder.equal(last.indices, indices)) {
+      last.delay += delay;
+      return;
+    }
+    this.frames.push({ indices, delay });
+  }
+
+  static equal(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * The GIF file as bytes
+   */
+  encode() {
+    const bytes = [];
+    const word = (value) => bytes.push(value & 0xFF, value >> 8);
+    const text = (string) => bytes.push(...Array.from(string, char => char.charCodeAt(0)));
+
+    text('GIF89a');
+    word(this.width);
+    word(this.height);
+    bytes.push(0x80 | ((this.colorBits - 1) << 4) | (this.colorBits - 1), 0, 0);
+    for (let i = 0; i < 1 << this.colorBits; i++) {
+      bytes.push(...(this.palette[i] || [0, 0, 0]));
+    }
+
+    // Loop forever
+    bytes.push(0x21, 0xFF, 0x0B);
+    text('NETSCAPE2.0');
+    bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+
+    this.frames.forEach(({ indices, delay }) => {
+      bytes.push(0x21, 0xF9, 0x04, 0x04); // Graphic control: keep the frame in place
+      word(delay);
+      bytes.push(0x00, 0x00);
+
+      bytes.push(0x2C);
+      word(0);
+      word(0);
+      word(this.width);
+      word(this.height);
+      bytes.push(0x00);
+
+      const minCodeSize = Math.max(2, this.colorBits);
+      bytes.push(minCodeSize);
+      const data = GifEncoder.compress(indices, minCodeSize);
+      for (let offset = 0; offset < data.length; offset += 255) {
+        const block = data.subarray(offset, offset + 255);
+        bytes.push(block.length, ...block);
+      }
+      bytes.push(0x00);
+    });
+
+    bytes.push(0x3B);
+    return Uint8Array.from(bytes);
+  }
+
+  /**
+   * LZW-compress color indices the way GIF expects: variable width codes,
+   * packed least significant bit first
+   */
+  static compress(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let buffer = 0;
+    let bufferBits = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const emit = (code) => {
+      buffer |= code << bufferBits;
+      bufferBits += codeSize;
+      while (bufferBits >= 8) {
+        output.push(buffer & 0xFF);
+        buffer >>>= 8;
+        bufferBits -= 8;
+      }
+    };
+
+    emit(clearCode);
+    let code = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const index = indices[i];
+      const key = (code << 8) | index;
+      const known = table.get(key);
+      if (known !== undefined) {
+        code = known;
+        continue;
+      }
+
+      emit(code);
+      if (nextCode === GIF_MAX_CODES) {
+        // The table is full: start over
+        emit(clearCode);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        // The decoder widens its codes one code later than it adds them
+        if (nextCode >= 1 << codeSize) codeSize++;
+        table.set(key, nextCode++);
+      }
+      code = index;
+    }
+    emit(code);
+    emit(endCode);
+    if (bufferBits > 0) {
+      output.push(buffer & 0xFF);
+    }
+    return Uint8Array.from(output);
+  }
+}
+
+class ZipWriter {
+  constructor() {
+    this.files = [];   // { name, data, crc, offset }
+  }
+
+  addFile(name, data) {
+    this.files.push({ name: Array.from(name, char => char.charCodeAt(0)), data, crc: ZipWriter.crc32(data) });
+  }
+
+  /**
+   * The archive as bytes
+   */
+  encode() {
+    const parts = [];
+    let offset = 0;
+    const header = (signature, fields) => {
+      const bytes = [];
+      const push = (value, size) => {
+        for (let i = 0; i < size; i++) bytes.push((value >>> (i * 8)) & 0xFF);
+      };
+      push(signature, 4);
+      fields.forEach(([value, size]) => push(value, size));
+      return bytes;
+    };
+
+    // Version 2.0, no flags, stored, with the DOS date of 1980-01-01
+    const common = (file) => [[20, 2], [0, 2], [0, 2], [0, 2], [0x21, 2], [file.crc, 4], [file.data.length, 4], [file.data.length, 4], [file.name.length, 2], [0, 2]];
+
+    this.files.forEach(file => {
+      file.offset = offset;
+      const local = header(0x04034B50, common(file));
+      parts.push(Uint8Array.from([...local, ...file.name]), file.data);
+      offset += local.length + file.name.length + file.data.length;
+    });
+
+    const directoryStart = offset;
+    this.files.forEach(file => {
+      const entry = header(0x02014B50, [[20, 2], ...common(file), [0, 2], [0, 2], [0, 2], [0, 4], [file.offset, 4]]);
+      parts.push(Uint8Array.from([...entry, ...file.name]));
+      offset += entry.length + file.name.length;
+    });
+
+    parts.push(Uint8Array.from(header(0x06054B50, [
+      [0, 2], [0, 2], [this.files.length, 2], [this.files.length, 2], [offset - directoryStart, 4], [directoryStart, 4], [0, 2]
+    ])));
+
+    const archive = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      archive.set(part, position);
+      position += part.length;
+    });
+    return archive;
+  }
+
+  static crc32(data) {
+    if (!ZipWriter.crcTable) {
+      ZipWriter.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipWriter.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+      crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GifEncoder, ZipWriter };
+}
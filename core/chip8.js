@@ -1,11 +1,21 @@
 // CHIP-8 System Constants
 const MEM_SIZE = 4096;          // 4KB memory
+const XO_MEM_SIZE = 0x10000;    // 64KB memory in XO-CHIP mode
 const DISPLAY_WIDTH = 64;       // Display width (pixels)
 const DISPLAY_HEIGHT = 32;      // Display height (pixels)
+const HIRES_DISPLAY_WIDTH = 128; // SUPER-CHIP high resolution display width (pixels)
+const HIRES_DISPLAY_HEIGHT = 64; // SUPER-CHIP high resolution display height (pixels)
 const STACK_SIZE = 16;          // 16 levels of stack
 const NUM_REGISTERS = 16;       // 16 8-bit registers (V0-VF)
 const NUM_KEYS = 16;            // 16 input keys
+const TIMER_HZ = 60;            // Delay and sound timers count down at 60Hz
+const DEFAULT_IPS = 600;        // Default instructions per second (10 per 60Hz frame)
 const FONTSET_SIZE = 80;        // 5 bytes per character, 16 characters
+const BIG_FONTSET_ADDRESS = 0x50; // SUPER-CHIP large font follows the small one
+const BIG_FONTSET_SIZE = 160;   // 10 bytes per character, 16 characters
+const NUM_RPL_FLAGS = 16;       // HP-48 RPL user flags (8 on SUPER-CHIP, 16 on XO-CHIP)
+const NUM_PLANES = 2;           // XO-CHIP drawing planes (pixels hold a 2-bit plane mask)
+const AUDIO_PATTERN_SIZE = 16;  // XO-CHIP 128-bit audio pattern buffer
 
 // Fontset (0-F hex characters, 5 bytes each)
 const fontset = [
@@ -27,14 +37,234 @@ const fontset = [
   0xF0, 0x80, 0xF0, 0x80, 0x80  // F
 ];
 
+// SUPER-CHIP large fontset (0-F hex characters, 10 bytes each)
+const bigFontset = [
+  0xFF, 0xFF, 0xC3, 0xC3, 0xC3, 0xC3, 0xC3, 0xC3, 0xFF, 0xFF, // 0
+  0x18, 0x78, 0x78, 0x18, 0x18, 0x18, 0x18, 0x18, 0xFF, 0xFF, // 1
+  0xFF, 0xFF, 0x03, 0x03, 0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, // 2
+  0xFF, 0xFF, 0x03, 0x03, 0xFF, 0xFF, 0x03, 0x03, 0xFF, 0xFF, // 3
+  0xC3, 0xC3, 0xC3, 0xC3, 0xFF, 0xFF, 0x03, 0x03, 0x03, 0x03, // 4
+  0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0x03, 0x03, 0xFF, 0xFF, // 5
+  0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0xC3, 0xC3, 0xFF, 0xFF, // 6
+  0xFF, 0xFF, 0x03, 0x03, 0x06, 0x0C, 0x18, 0x18, 0x18, 0x18, // 7
+  0xFF, 0xFF, 0xC3, 0xC3, 0xFF, 0xFF, 0xC3, 0xC3, 0xFF, 0xFF, // 8
+  0xFF, 0xFF, 0xC3, 0xC3, 0xFF, 0xFF, 0x03, 0x03, 0xFF, 0xFF, // 9
+  0x7E, 0xFF, 0xC3, 0xC3, 0xC3, 0xFF, 0xFF, 0xC3, 0xC3, 0xC3, // A
+  0xFC, 0xFC, 0xC3, 0xC3, 0xFC, 0xFC, 0xC3, 0xC3, 0xFC, 0xFC, // B
+  0x3C, 0xFF, 0xC3, 0xC0, 0xC0, 0xC0, 0xC0, 0xC3, 0xFF, 0x3C, // C
+  0xFC, 0xFE, 0xC3, 0xC3, 0xC3, 0xC3, 0xC3, 0xC3, 0xFE, 0xFC, // D
+  0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, // E
+  0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0xC0, 0xC0, 0xC0, 0xC0  // F
+];
+
+// Interpreter quirks (behaviors that differ between CHIP-8 implementations)
+// - shift:    8XY6/8XYE shift VX in place instead of copying VY into VX first
+// - loadStore: FX55/FX65 increment I by X + 1
+// - jump:     BNNN jumps to NNN + VX instead of NNN + V0
+// - wrap:     DXYN wraps sprites around the screen edges instead of clipping
+// - vfReset:  8XY1/8XY2/8XY3 reset VF to 0
+const QUIRK_NAMES = {
+  shift: 'Shift VX in place (8XY6/8XYE)',
+  loadStore: 'Increment I on load/store (FX55/FX65)',
+  jump: 'Jump with VX (BNNN)',
+  wrap: 'Wrap sprites (DXYN)',
+  vfReset: 'Reset VF on logic ops (8XY1/2/3)'
+};
+
+const QUIRK_PRESETS = {
+  vip: {
+    name: 'COSMAC VIP',
+    quirks: { shift: false, loadStore: true, jump: false, wrap: false, vfReset: true }
+  },
+  chip48: {
+    name: 'CHIP-48',
+    quirks: { shift: true, loadStore: true, jump: true, wrap: false, vfReset: false }
+  },
+  schip: {
+    name: 'SUPER-CHIP',
+    quirks: { shift: true, loadStore: false, jump: true, wrap: false, vfReset: false }
+  },
+  modern: {
+    name: 'Modern',
+    quirks: { shift: true, loadStore: false, jump: false, wrap: true, vfReset: false }
+  }
+};
+
+const DEFAULT_QUIRK_PRESET = 'modern';
+
+// Bump when the snapshot format produced by saveState() changes
+const SAVE_STATE_VERSION = 1;
+
+// CPU fault types
+const FAULT_STACK_OVERFLOW = 'stack-overflow';          // 2NNN with a full stack
+const FAULT_STACK_UNDERFLOW = 'stack-underflow';        // 00EE with an empty stack
+const FAULT_PC_OUT_OF_BOUNDS = 'pc-out-of-bounds';      // Instruction fetch past the end of memory
+const FAULT_MEMORY_OUT_OF_BOUNDS = 'memory-out-of-bounds'; // Read or write through I past the end of memory
+const FAULT_UNKNOWN_OPCODE = 'unknown-opcode';
+
+// A fault raised by the CPU while executing the instruction at pc
+class Chip8Fault extends Error {
+  constructor(type, reason, pc, opcode) {
+    super(`${reason} at 0x${pc.toString(16).padStart(4, '0')} (opcode ${opcode.toString(16).padStart(4, '0')})`);
+    this.name = 'Chip8Fault';
+    this.type = type;
+    this.reason = reason;
+    this.pc = pc;
+    this.opcode = opcode;
+  }
+}
+
+// Throw if a snapshot's fields (other than its version and memory) are
+// missing or out of range, naming the first bad one
+function checkSaveState(state, memorySize) {
+  const isInteger = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+  const isIntegers = (value, length, max) => Array.isArray(value) && value.length === length && value.every(item => isInteger(item, max));
+  const isBoolean = (value) => typeof value === 'boolean';
+  const width = state.hires ? HIRES_DISPLAY_WIDTH : DISPLAY_WIDTH;
+  const height = state.hires ? HIRES_DISPLAY_HEIGHT : DISPLAY_HEIGHT;
+
+  const checks = {
+    xoChip: isBoolean(state.xoChip),
+    quirks: Boolean(state.quirks) && Object.keys(QUIRK_NAMES).every(quirk => isBoolean(state.quirks[quirk])),
+    romSize: state.romSize === undefined || isInteger(state.romSize, memorySize),
+    v: isIntegers(state.v, NUM_REGISTERS, 0xFF),
+    i: isInteger(state.i, 0xFFFF),
+    pc: isInteger(state.pc, memorySize),
+    stack: isIntegers(state.stack, STACK_SIZE, memorySize),
+    sp: isInteger(state.sp, STACK_SIZE),
+    delayTimer: isInteger(state.delayTimer, 0xFF),
+    soundTimer: isInteger(state.soundTimer, 0xFF),
+    rplFlags: isIntegers(state.rplFlags, NUM_RPL_FLAGS, 0xFF),
+    hires: isBoolean(state.hires),
+    planes: isInteger(state.planes, (1 << NUM_PLANES) - 1),
+    display: Array.isArray(state.display) && state.display.length === height &&
+      state.display.every(row => typeof row === 'string' && row.length === width && /^[0-3]*$/.test(row)),
+    audioPattern: isIntegers(state.audioPattern, AUDIO_PATTERN_SIZE, 0xFF),
+    pitch: isInteger(state.pitch, 0xFF),
+    keys: Array.isArray(state.keys) && state.keys.length === NUM_KEYS && state.keys.every(isBoolean),
+    paused: isBoolean(state.paused),
+    clockTicks: state.clockTicks === undefined || (Number.isFinite(state.clockTicks) && state.clockTicks >= 0),
+    frameCount: state.frameCount === undefined || isInteger(state.frameCount, Number.MAX_SAFE_INTEGER),
+    lastInstruction: state.lastInstruction === null || isInteger(state.lastInstruction, 0xFFFF),
+    waitingForKeyPress: isBoolean(state.waitingForKeyPress),
+    keyRegister: isInteger(state.keyRegister, NUM_REGISTERS - 1),
+    halted: isBoolean(state.halted),
+    fault: !state.fault || (typeof state.fault.type === 'string' && typeof state.fault.reason === 'string' &&
+      isInteger(state.fault.pc, 0xFFFF) && isInteger(state.fault.opcode, 0xFFFF))
+  };
+
+  const bad = Object.keys(checks).find(field => !checks[field]);
+  if (bad) {
+    throw new Error(`Save state has a missing or invalid "${bad}"`);
+  }
+}
+
 class Chip8 {
   constructor() {
+    // Quirks are configuration, so they survive reset()
+    this.quirks = {};
+    this.setQuirkPreset(DEFAULT_QUIRK_PRESET);
+    this.xoChip = false;                            // XO-CHIP mode (64KB memory, bitplanes)
+    
+    // Debugging hooks
+    this.listeners = {};                            // Event name -> handlers (see on/emit)
+    this.journal = null;                            // Undo journal for the running instruction
+    this.haltOnFault = false;                       // Halt on a fault instead of carrying on
+    this.instructionsPerSecond = DEFAULT_IPS;       // Emulated CPU clock rate
+    this.symbols = null;                            // Address -> name, used when disassembling
+
     this.reset();
   }
 
+  // Subscribe to an emulator event ('beforeInstruction', 'afterInstruction', ...)
+  on(event, handler) {
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
+  }
+
+  // Unsubscribe a handler registered with on()
+  off(event, handler) {
+    const handlers = this.listeners[event];
+    if (handlers) {
+      this.listeners[event] = handlers.filter(h => h !== handler);
+      if (this.listeners[event].length === 0) {
+        delete this.listeners[event];
+      }
+    }
+  }
+
+  // Notify the handlers of an event
+  emit(event, data) {
+    const handlers = this.listeners[event];
+    if (!handlers) return;
+    for (const handler of handlers) {
+      handler(data);
+    }
+  }
+
+  // Raise a fault for the running instruction (once per instruction). Handlers of the
+  // 'fault' event are notified, and the CPU halts if haltOnFault is set.
+  raiseFault(type, reason) {
+    if (this.instructionFaulted) return;
+    this.instructionFaulted = true;
+    
+    const { pc, opcode } = this.currentInstruction;
+    const fault = new Chip8Fault(type, reason, pc, opcode);
+    
+    if (this.haltOnFault) {
+      this.halted = true;
+      this.fault = fault;
+    }
+    
+    this.emit('fault', fault);
+    return fault;
+  }
+
+  // Read a byte of memory, faulting outside the address space (reads as 0).
+  // Emits 'memoryRead' for watchpoints when anything listens.
+  readMemory(address) {
+    if (address >= this.memory.length) {
+      this.raiseFault(FAULT_MEMORY_OUT_OF_BOUNDS, `Read from 0x${address.toString(16)} past the end of memory`);
+      return 0;
+    }
+    const value = this.memory[address];
+    if (this.listeners.memoryRead) {
+      this.emit('memoryRead', { address, value });
+    }
+    return value;
+  }
+
+  // Write a byte to memory, recording the old value in the undo journal
+  // (faults outside the address space, and the write is dropped).
+  // Emits 'memoryWrite' for watchpoints when anything listens.
+  writeMemory(address, value) {
+    if (address >= this.memory.length) {
+      this.raiseFault(FAULT_MEMORY_OUT_OF_BOUNDS, `Write to 0x${address.toString(16)} past the end of memory`);
+      return;
+    }
+    const oldValue = this.memory[address];
+    if (this.journal) {
+      this.journal.memory.push(address, oldValue);
+    }
+    this.memory[address] = value;
+    if (this.listeners.memoryWrite) {
+      this.emit('memoryWrite', { address, oldValue, value });
+    }
+  }
+
+  // Record the whole display in the undo journal before it is replaced or scrolled
+  journalDisplay() {
+    if (this.journal && !this.journal.display) {
+      this.journal.display = {
+        hires: this.hires,
+        rows: this.display.map(row => row.slice())
+      };
+    }
+  }
+
   reset() {
     // Main components
-    this.memory = new Array(MEM_SIZE).fill(0);      // Memory
+    this.memory = new Array(this.xoChip ? XO_MEM_SIZE : MEM_SIZE).fill(0); // Memory
+    this.romSize = 0;                               // Size of the ROM loaded at 0x200
     this.v = new Array(NUM_REGISTERS).fill(0);      // Registers V0-VF
     this.i = 0;                                     // Index register
     this.pc = 0x200;                                // Program counter starts at 0x200
@@ -43,58 +273,326 @@ class Chip8 {
     this.delayTimer = 0;                            // Delay timer
     this.soundTimer = 0;                            // Sound timer
     
+    this.rplFlags = new Array(NUM_RPL_FLAGS).fill(0); // SUPER-CHIP RPL user flags
+    
     // I/O
-    this.display = Array(DISPLAY_HEIGHT).fill().map(() => Array(DISPLAY_WIDTH).fill(0));
+    this.hires = false;                             // SUPER-CHIP 128x64 mode
+    this.displayWidth = DISPLAY_WIDTH;
+    this.displayHeight = DISPLAY_HEIGHT;
+    this.planes = 1;                                // XO-CHIP selected drawing planes (bitmask)
+    this.clearDisplay();
+    this.audioPattern = new Array(AUDIO_PATTERN_SIZE).fill(0); // XO-CHIP audio pattern
+    this.pitch = 64;                                // XO-CHIP audio pitch (4000 Hz)
     this.keys = new Array(NUM_KEYS).fill(false);
     this.drawFlag = false;                         // Flag to indicate display needs update
     
     // State variables for debugging
     this.paused = false;                           // Emulation paused flag
-    this.speed = 10;                               // Instructions per cycle
+    this.clockTicks = 0;                           // Virtual clock phase within the current 60Hz frame
+    this.frameCount = 0;                           // 60Hz frames of emulated time since reset
     this.lastInstruction = null;                   // Last executed instruction
     this.waitingForKeyPress = false;               // Flag for key input
     this.keyRegister = 0;                          // Register to store key in
+    this.halted = false;                           // Set by 00FD (exit interpreter) or a fault
+    this.fault = null;                             // Fault that halted the CPU
+    this.breakRequested = false;                   // Stops the current emulateCycle() batch
+    this.currentInstruction = null;                // PC and opcode of the running instruction
+    this.instructionFaulted = false;               // A fault was raised by the running instruction
     
-    // Load fontset into memory
+    // Load fontsets into memory
     for (let i = 0; i < FONTSET_SIZE; i++) {
       this.memory[i] = fontset[i];
     }
+    for (let i = 0; i < BIG_FONTSET_SIZE; i++) {
+      this.memory[BIG_FONTSET_ADDRESS + i] = bigFontset[i];
+    }
+  }
+
+  // Switch XO-CHIP mode on or off (resets the machine, since memory size changes)
+  setXOChipMode(enabled) {
+    this.xoChip = Boolean(enabled);
+    this.reset();
+  }
+
+  // Length in bytes of the instruction starting with opcode (F000 NNNN is 4 bytes in XO-CHIP mode)
+  getInstructionLength(opcode) {
+    return this.xoChip && opcode === 0xF000 ? 4 : 2;
+  }
+
+  // Whether opcode only exists in XO-CHIP (and is an unknown opcode in the other modes)
+  isXOChipOpcode(opcode) {
+    return (opcode & 0xFFF0) === 0x00D0 ||         // 00DN
+      (opcode & 0xF00E) === 0x5002 ||              // 5XY2, 5XY3
+      opcode === 0xF000 || opcode === 0xF002 ||
+      (opcode & 0xF0FF) === 0xF001 ||              // FN01
+      (opcode & 0xF0FF) === 0xF03A;                // FX3A
+  }
+
+  // Skip the instruction at PC, which may be a 4-byte XO-CHIP instruction
+  skipNextInstruction() {
+    const opcode = (this.memory[this.pc] << 8) | this.memory[this.pc + 1];
+    this.pc += this.getInstructionLength(opcode);
+  }
+
+  // Clear the display at the current resolution
+  clearDisplay() {
+    this.journalDisplay();
+    this.display = Array(this.displayHeight).fill().map(() => Array(this.displayWidth).fill(0));
+    this.drawFlag = true;
+    this.emit('clear', { planes: (1 << NUM_PLANES) - 1 });
+  }
+
+  // Switch between the 64x32 and the SUPER-CHIP 128x64 display (clears the screen)
+  setHighResolution(hires) {
+    this.journalDisplay();
+    this.hires = hires;
+    this.displayWidth = hires ? HIRES_DISPLAY_WIDTH : DISPLAY_WIDTH;
+    this.displayHeight = hires ? HIRES_DISPLAY_HEIGHT : DISPLAY_HEIGHT;
+    this.clearDisplay();
+  }
+
+  // Clear only the selected drawing planes (XO-CHIP 00E0)
+  clearPlanes(planes) {
+    this.journalDisplay();
+    for (let y = 0; y < this.displayHeight; y++) {
+      for (let x = 0; x < this.displayWidth; x++) {
+        this.display[y][x] &= ~planes;
+      }
+    }
+    this.drawFlag = true;
+    this.emit('clear', { planes });
+  }
+
+  // Scroll the selected planes by (dx, dy) pixels, filling the uncovered area with 0
+  scrollDisplay(dx, dy) {
+    this.journalDisplay();
+    const planes = this.planes;
+    const scrolled = Array(this.displayHeight).fill().map(() => Array(this.displayWidth).fill(0));
+
+    for (let y = 0; y < this.displayHeight; y++) {
+      const sourceY = y - dy;
+
+      for (let x = 0; x < this.displayWidth; x++) {
+        const sourceX = x - dx;
+        const inside = sourceY >= 0 && sourceY < this.displayHeight && sourceX >= 0 && sourceX < this.displayWidth;
+        const moved = inside ? this.display[sourceY][sourceX] & planes : 0;
+        scrolled[y][x] = (this.display[y][x] & ~planes) | moved;
+      }
+    }
+
+    this.display = scrolled;
+    this.drawFlag = true;
+    this.emit('scroll', { dx, dy, planes });
+  }
+
+  // Apply one of the named quirk presets (see QUIRK_PRESETS)
+  setQuirkPreset(presetName) {
+    const preset = QUIRK_PRESETS[presetName];
+    if (!preset) {
+      throw new Error(`Unknown quirk preset: ${presetName}`);
+    }
+
+    this.quirks = { ...preset.quirks };
+  }
+
+  // Toggle a single quirk
+  setQuirk(quirkName, enabled) {
+    if (!(quirkName in QUIRK_NAMES)) {
+      throw new Error(`Unknown quirk: ${quirkName}`);
+    }
+
+    this.quirks[quirkName] = Boolean(enabled);
+  }
+
+  // Name of the preset matching the current quirks, or null if they were customized
+  getQuirkPreset() {
+    for (const [presetName, preset] of Object.entries(QUIRK_PRESETS)) {
+      const matches = Object.keys(QUIRK_NAMES).every(quirk => preset.quirks[quirk] === this.quirks[quirk]);
+      if (matches) {
+        return presetName;
+      }
+    }
+
+    return null;
+  }
+
+  // Serialize the full machine state into a versioned, JSON-friendly snapshot
+  saveState() {
+    return {
+      version: SAVE_STATE_VERSION,
+      xoChip: this.xoChip,
+      quirks: { ...this.quirks },
+      memory: this.memory.map(byte => byte.toString(16).padStart(2, '0')).join(''),
+      romSize: this.romSize,
+      v: this.v.slice(),
+      i: this.i,
+      pc: this.pc,
+      stack: this.stack.slice(),
+      sp: this.sp,
+      delayTimer: this.delayTimer,
+      soundTimer: this.soundTimer,
+      rplFlags: this.rplFlags.slice(),
+      hires: this.hires,
+      planes: this.planes,
+      display: this.display.map(row => row.join('')),
+      audioPattern: this.audioPattern.slice(),
+      pitch: this.pitch,
+      keys: this.keys.slice(),
+      paused: this.paused,
+      clockTicks: this.clockTicks,
+      frameCount: this.frameCount,
+      lastInstruction: this.lastInstruction,
+      waitingForKeyPress: this.waitingForKeyPress,
+      keyRegister: this.keyRegister,
+      halted: this.halted,
+      fault: this.fault && { type: this.fault.type, reason: this.fault.reason, pc: this.fault.pc, opcode: this.fault.opcode }
+    };
+  }
+
+  // Restore a snapshot produced by saveState(). The whole snapshot is checked
+  // first, so a bad one throws without touching the machine.
+  loadState(state) {
+    if (!state || state.version !== SAVE_STATE_VERSION) {
+      throw new Error(`Unsupported save state version: ${state && state.version}`);
+    }
+    
+    const memorySize = state.xoChip ? XO_MEM_SIZE : MEM_SIZE;
+    if (typeof state.memory !== 'string' || state.memory.length !== memorySize * 2 || /[^0-9a-f]/i.test(state.memory)) {
+      throw new Error('Save state memory does not match the machine mode');
+    }
+    checkSaveState(state, memorySize);
+    
+    this.xoChip = state.xoChip;
+    this.quirks = { ...state.quirks };
+    this.reset();
+    
+    for (let addr = 0; addr < memorySize; addr++) {
+      this.memory[addr] = parseInt(state.memory.substr(addr * 2, 2), 16);
+    }
+    this.romSize = state.romSize || 0;
+    this.v = state.v.slice();
+    this.i = state.i;
+    this.pc = state.pc;
+    this.stack = state.stack.slice();
+    this.sp = state.sp;
+    this.delayTimer = state.delayTimer;
+    this.soundTimer = state.soundTimer;
+    this.rplFlags = state.rplFlags.slice();
+    
+    this.setHighResolution(state.hires);
+    this.planes = state.planes;
+    this.display = state.display.map(row => Array.from(row, Number));
+    this.audioPattern = state.audioPattern.slice();
+    this.pitch = state.pitch;
+    this.keys = state.keys.slice();
+    this.drawFlag = true;
+    
+    this.paused = state.paused;
+    this.clockTicks = state.clockTicks || 0;
+    this.frameCount = state.frameCount || 0;
+    this.lastInstruction = state.lastInstruction;
+    this.waitingForKeyPress = state.waitingForKeyPress;
+    this.keyRegister = state.keyRegister;
+    this.halted = state.halted;
+    this.fault = state.fault ? new Chip8Fault(state.fault.type, state.fault.reason, state.fault.pc, state.fault.opcode) : null;
   }
 
   // Load a ROM file into memory
   loadROM(romBuffer) {
+    if (0x200 + romBuffer.length > this.memory.length) {
+      throw new Error(`ROM is too large (${romBuffer.length} bytes) for ${this.memory.length} bytes of memory`);
+    }
+    
     // ROM data starts at 0x200 (512)
     for (let i = 0; i < romBuffer.length; i++) {
       this.memory[0x200 + i] = romBuffer[i];
     }
+    this.romSize = romBuffer.length;
+  }
+
+  // The part of the memory map an address is in, as { name, start, end } (end
+  // inclusive): 'font' (the small font), 'reserved' (the rest of the interpreter
+  // area below 0x200, holding the large font), 'rom' (the loaded ROM) or 'free'
+  getMemoryRegion(address) {
+    const romEnd = 0x200 + this.romSize;
+    if (address < FONTSET_SIZE) {
+      return { name: 'font', start: 0, end: FONTSET_SIZE - 1 };
+    }
+    if (address < 0x200) {
+      return { name: 'reserved', start: FONTSET_SIZE, end: 0x1FF };
+    }
+    if (address < romEnd) {
+      return { name: 'rom', start: 0x200, end: romEnd - 1 };
+    }
+    return { name: 'free', start: romEnd, end: this.memory.length - 1 };
   }
 
-  // Emulate one CPU cycle
+  // Emulate one 60Hz frame: run instructions until the timers next tick
   emulateCycle() {
-    if (this.paused) return;
+    if (this.paused || this.halted) return;
+    this.breakRequested = false;
     
-    // Execute multiple instructions per cycle based on speed
-    for (let i = 0; i < this.speed; i++) {
-      if (!this.waitingForKeyPress) {
-        this.executeInstruction();
-      }
+    const frame = this.frameCount;
+    while (this.frameCount === frame && !this.breakRequested && !this.halted) {
+      this.step();
+    }
+  }
+
+  // Execute one instruction (unless waiting for a key) and advance the virtual clock
+  // by one instruction period, so the timers tick at 60Hz of emulated time
+  step() {
+    if (this.halted) return;
+    
+    if (!this.waitingForKeyPress) {
+      this.executeInstruction();
     }
     
-    // Update timers at 60Hz (separate from instruction execution)
+    this.advanceClock(1);
+  }
+
+  // Advance the virtual clock by a number of instruction periods
+  advanceClock(instructions) {
+    // The clock counts in units of 1 / (instructionsPerSecond * TIMER_HZ) seconds
+    this.clockTicks += instructions * TIMER_HZ;
+    
+    while (this.clockTicks >= this.instructionsPerSecond) {
+      this.clockTicks -= this.instructionsPerSecond;
+      this.tickTimers();
+      this.frameCount++;
+      this.emit('frame', this.frameCount);
+    }
+  }
+
+  // Count the delay and sound timers down by one 60Hz tick
+  tickTimers() {
     if (this.delayTimer > 0) {
       this.delayTimer--;
     }
     
+    // The sound plays while the sound timer is non-zero (see Beeper in audio.js)
     if (this.soundTimer > 0) {
-      // TODO: Implement sound
       this.soundTimer--;
     }
   }
 
   // Execute a single instruction
   executeInstruction() {
-    // Fetch opcode (2 bytes)
+    this.instructionFaulted = false;
+    
+    // Fetch opcode (2 bytes); past the end of memory the PC wraps around unless that halts
+    if (this.pc + 1 >= this.memory.length) {
+      const wrappedPC = this.pc & (this.memory.length - 1);
+      this.currentInstruction = { pc: this.pc, opcode: (this.memory[wrappedPC] << 8) | this.memory[(wrappedPC + 1) & (this.memory.length - 1)] };
+      this.raiseFault(FAULT_PC_OUT_OF_BOUNDS, `PC 0x${this.pc.toString(16)} is past the end of memory`);
+      if (this.halted) return;
+      this.pc = wrappedPC === this.memory.length - 1 ? 0 : wrappedPC;
+      this.instructionFaulted = false;
+    }
+    
     const opcode = (this.memory[this.pc] << 8) | this.memory[this.pc + 1];
+    const instructionPC = this.pc;
+    this.currentInstruction = { pc: instructionPC, opcode };
+    this.emit('beforeInstruction', { pc: instructionPC, opcode });
     this.lastInstruction = opcode;
     
     // Increment PC before execution (most instructions are 2 bytes)
@@ -111,18 +609,49 @@ class Chip8 {
     switch (opcode & 0xF000) {
       case 0x0000:
         switch (opcode) {
-          case 0x00E0: // 00E0: Clear the display
-            this.display = Array(DISPLAY_HEIGHT).fill().map(() => Array(DISPLAY_WIDTH).fill(0));
-            this.drawFlag = true;
+          case 0x00E0: // 00E0: Clear the display (only the selected planes on XO-CHIP)
+            this.clearPlanes(this.planes);
             break;
             
           case 0x00EE: // 00EE: Return from a subroutine
+            if (this.sp <= 0) {
+              this.raiseFault(FAULT_STACK_UNDERFLOW, 'Return with an empty stack');
+              break;
+            }
             this.sp--;
             this.pc = this.stack[this.sp];
             break;
             
+          case 0x00FB: // 00FB: Scroll display right by 4 pixels (SUPER-CHIP)
+            this.scrollDisplay(4, 0);
+            break;
+            
+          case 0x00FC: // 00FC: Scroll display left by 4 pixels (SUPER-CHIP)
+            this.scrollDisplay(-4, 0);
+            break;
+            
+          case 0x00FD: // 00FD: Exit the interpreter (SUPER-CHIP)
+            this.halted = true;
+            break;
+            
+          case 0x00FE: // 00FE: Switch to 64x32 display (SUPER-CHIP)
+            this.setHighResolution(false);
+            break;
+            
+          case 0x00FF: // 00FF: Switch to 128x64 display (SUPER-CHIP)
+            this.setHighResolution(true);
+            break;
+            
           default:
-            console.warn(`Unknown opcode: ${opcode.toString(16)}`);
+            if ((opcode & 0xFFF0) === 0x00C0) { // 00CN: Scroll display down by N pixels (SUPER-CHIP)
+              this.scrollDisplay(0, n);
+              break;
+            }
+            if (this.xoChip && (opcode & 0xFFF0) === 0x00D0) { // 00DN: Scroll display up by N pixels (XO-CHIP)
+              this.scrollDisplay(0, -n);
+              break;
+            }
+            this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
         }
         break;
         
@@ -131,6 +660,10 @@ class Chip8 {
         break;
         
       case 0x2000: // 2NNN: Call subroutine at NNN
+        if (this.sp >= STACK_SIZE) {
+          this.raiseFault(FAULT_STACK_OVERFLOW, `Call with a full stack (${STACK_SIZE} levels)`);
+          break;
+        }
         this.stack[this.sp] = this.pc;
         this.sp++;
         this.pc = nnn;
@@ -138,19 +671,50 @@ class Chip8 {
         
       case 0x3000: // 3XNN: Skip next instruction if VX == NN
         if (this.v[x] === nn) {
-          this.pc += 2;
+          this.skipNextInstruction();
         }
         break;
         
       case 0x4000: // 4XNN: Skip next instruction if VX != NN
         if (this.v[x] !== nn) {
-          this.pc += 2;
+          this.skipNextInstruction();
         }
         break;
         
-      case 0x5000: // 5XY0: Skip next instruction if VX == VY
-        if (this.v[x] === this.v[y]) {
-          this.pc += 2;
+      case 0x5000:
+        switch (n) {
+          case 0x0: // 5XY0: Skip next instruction if VX == VY
+            if (this.v[x] === this.v[y]) {
+              this.skipNextInstruction();
+            }
+            break;
+            
+          case 0x2: { // 5XY2: Store VX through VY in memory starting at I (XO-CHIP)
+            if (!this.xoChip) {
+              this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
+              break;
+            }
+            const step = x <= y ? 1 : -1;
+            for (let offset = 0; offset <= Math.abs(y - x); offset++) {
+              this.writeMemory(this.i + offset, this.v[x + offset * step]);
+            }
+            break;
+          }
+            
+          case 0x3: { // 5XY3: Read VX through VY from memory starting at I (XO-CHIP)
+            if (!this.xoChip) {
+              this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
+              break;
+            }
+            const step = x <= y ? 1 : -1;
+            for (let offset = 0; offset <= Math.abs(y - x); offset++) {
+              this.v[x + offset * step] = this.readMemory(this.i + offset);
+            }
+            break;
+          }
+            
+          default:
+            this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
         }
         break;
         
@@ -170,14 +734,23 @@ class Chip8 {
             
           case 0x0001: // 8XY1: Set VX = VX OR VY
             this.v[x] |= this.v[y];
+            if (this.quirks.vfReset) {
+              this.v[0xF] = 0;
+            }
             break;
             
           case 0x0002: // 8XY2: Set VX = VX AND VY
             this.v[x] &= this.v[y];
+            if (this.quirks.vfReset) {
+              this.v[0xF] = 0;
+            }
             break;
             
           case 0x0003: // 8XY3: Set VX = VX XOR VY
             this.v[x] ^= this.v[y];
+            if (this.quirks.vfReset) {
+              this.v[0xF] = 0;
+            }
             break;
             
           case 0x0004: // 8XY4: Add VY to VX with carry
@@ -191,29 +764,33 @@ class Chip8 {
             this.v[x] = (this.v[x] - this.v[y]) & 0xFF;
             break;
             
-          case 0x0006: // 8XY6: Shift VX right by 1
-            this.v[0xF] = this.v[x] & 0x1;  // Store LSB in VF
-            this.v[x] >>= 1;
+          case 0x0006: { // 8XY6: Shift VX (or VY) right by 1
+            const value = this.quirks.shift ? this.v[x] : this.v[y];
+            this.v[x] = value >> 1;
+            this.v[0xF] = value & 0x1;  // Store LSB in VF
             break;
+          }
             
           case 0x0007: // 8XY7: Set VX = VY - VX
             this.v[0xF] = this.v[y] > this.v[x] ? 1 : 0;  // Set borrow flag
             this.v[x] = (this.v[y] - this.v[x]) & 0xFF;
             break;
             
-          case 0x000E: // 8XYE: Shift VX left by 1
-            this.v[0xF] = (this.v[x] & 0x80) >> 7;  // Store MSB in VF
-            this.v[x] = (this.v[x] << 1) & 0xFF;
+          case 0x000E: { // 8XYE: Shift VX (or VY) left by 1
+            const value = this.quirks.shift ? this.v[x] : this.v[y];
+            this.v[x] = (value << 1) & 0xFF;
+            this.v[0xF] = (value & 0x80) >> 7;  // Store MSB in VF
             break;
+          }
             
           default:
-            console.warn(`Unknown opcode: ${opcode.toString(16)}`);
+            this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
         }
         break;
         
       case 0x9000: // 9XY0: Skip next instruction if VX != VY
         if (this.v[x] !== this.v[y]) {
-          this.pc += 2;
+          this.skipNextInstruction();
         }
         break;
         
@@ -221,64 +798,134 @@ class Chip8 {
         this.i = nnn;
         break;
         
-      case 0xB000: // BNNN: Jump to address NNN + V0
-        this.pc = nnn + this.v[0];
+      case 0xB000: // BNNN: Jump to address NNN + V0 (or XNN + VX)
+        this.pc = nnn + this.v[this.quirks.jump ? x : 0];
         break;
         
       case 0xC000: // CXNN: Set VX = random byte AND NN
         this.v[x] = Math.floor(Math.random() * 0xFF) & nn;
         break;
         
-      case 0xD000: // DXYN: Draw sprite at (VX, VY) with N bytes of sprite data starting at I
+      case 0xD000: { // DXYN: Draw sprite at (VX, VY) with N bytes of sprite data starting at I
+        // DXY0 draws a 16x16 sprite (2 bytes per row) on SUPER-CHIP
         const xCoord = this.v[x] & 0xFF;
         const yCoord = this.v[y] & 0xFF;
-        const height = n;
+        const width = n === 0 ? 16 : 8;
+        const height = n === 0 ? 16 : n;
+        const bytesPerRow = width / 8;
         
         this.v[0xF] = 0; // Reset collision flag
         
-        for (let row = 0; row < height; row++) {
-          const spriteByte = this.memory[this.i + row];
+        // Pixels toggled, collected for the 'draw' event when anything listens
+        const toggled = this.listeners.draw ? [] : null;
+        
+        // On XO-CHIP each selected plane gets its own sprite, stored one after the other
+        let spriteAddress = this.i;
+        for (let plane = 0; plane < NUM_PLANES; plane++) {
+          const planeBit = 1 << plane;
+          if ((this.planes & planeBit) === 0) continue;
           
-          for (let col = 0; col < 8; col++) {
-            if ((spriteByte & (0x80 >> col)) !== 0) {
-              const pixelY = (yCoord + row) % DISPLAY_HEIGHT;
-              const pixelX = (xCoord + col) % DISPLAY_WIDTH;
-              
-              // If pixel is already set, we have a collision
-              if (this.display[pixelY][pixelX] === 1) {
-                this.v[0xF] = 1;
+          for (let row = 0; row < height; row++) {
+            let spriteRow = 0;
+            for (let b = 0; b < bytesPerRow; b++) {
+              spriteRow = (spriteRow << 8) | this.readMemory(spriteAddress + row * bytesPerRow + b);
+            }
+            
+            for (let col = 0; col < width; col++) {
+              if ((spriteRow & (1 << (width - 1 - col))) !== 0) {
+                let pixelY = (yCoord % this.displayHeight) + row;
+                let pixelX = (xCoord % this.displayWidth) + col;
+
+                // Without the wrap quirk, pixels past the edge are clipped
+                if (pixelX >= this.displayWidth || pixelY >= this.displayHeight) {
+                  if (!this.quirks.wrap) continue;
+                  pixelX %= this.displayWidth;
+                  pixelY %= this.displayHeight;
+                }
+                
+                // If pixel is already set, we have a collision
+                if (this.display[pixelY][pixelX] & planeBit) {
+                  this.v[0xF] = 1;
+                }
+                
+                // XOR the pixel
+                this.display[pixelY][pixelX] ^= planeBit;
+                if (this.journal) {
+                  this.journal.pixels.push(pixelX, pixelY, planeBit);
+                }
+                if (toggled) {
+                  toggled.push(pixelX, pixelY);
+                }
               }
-              
-              // XOR the pixel
-              this.display[pixelY][pixelX] ^= 1;
             }
           }
+          
+          spriteAddress += height * bytesPerRow;
         }
         
         this.drawFlag = true;
+        if (toggled) {
+          this.emit('draw', {
+            pc: this.currentInstruction.pc, opcode, x: xCoord, y: yCoord, width, height,
+            address: this.i, planes: this.planes, collision: this.v[0xF] === 1, pixels: toggled
+          });
+        }
         break;
+      }
         
       case 0xE000:
         switch (opcode & 0x00FF) {
           case 0x009E: // EX9E: Skip next instruction if key with value VX is pressed
             if (this.keys[this.v[x]]) {
-              this.pc += 2;
+              this.skipNextInstruction();
             }
             break;
             
           case 0x00A1: // EXA1: Skip next instruction if key with value VX is not pressed
             if (!this.keys[this.v[x]]) {
-              this.pc += 2;
+              this.skipNextInstruction();
             }
             break;
             
           default:
-            console.warn(`Unknown opcode: ${opcode.toString(16)}`);
+            this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
         }
         break;
         
       case 0xF000:
         switch (opcode & 0x00FF) {
+          case 0x0000: // F000 NNNN: Set I = NNNN (XO-CHIP, 4-byte instruction)
+            if (x !== 0 || !this.xoChip) {
+              this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
+              break;
+            }
+            // The operand is fetched like the opcode: past the end of memory the PC is at fault
+            if (this.pc + 1 >= this.memory.length) {
+              this.raiseFault(FAULT_PC_OUT_OF_BOUNDS, `PC 0x${this.pc.toString(16)} is past the end of memory`);
+              break;
+            }
+            this.i = (this.memory[this.pc] << 8) | this.memory[this.pc + 1];
+            this.pc += 2;
+            break;
+            
+          case 0x0001: // FN01: Select drawing planes N (XO-CHIP)
+            if (!this.xoChip) {
+              this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
+              break;
+            }
+            this.planes = x & ((1 << NUM_PLANES) - 1);
+            break;
+            
+          case 0x0002: // F002: Load the 16-byte audio pattern from I (XO-CHIP)
+            if (x !== 0 || !this.xoChip) {
+              this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
+              break;
+            }
+            for (let b = 0; b < AUDIO_PATTERN_SIZE; b++) {
+              this.audioPattern[b] = this.readMemory(this.i + b);
+            }
+            break;
+            
           case 0x0007: // FX07: Set VX = delay timer value
             this.v[x] = this.delayTimer;
             break;
@@ -298,10 +945,10 @@ class Chip8 {
             
           case 0x001E: // FX1E: Add VX to I
             this.i += this.v[x];
-            // Some implementations set VF if I exceeds 0xFFF
-            if (this.i > 0xFFF) {
+            // Some implementations set VF if I exceeds the address space
+            if (this.i > this.memory.length - 1) {
               this.v[0xF] = 1;
-              this.i &= 0xFFF;
+              this.i &= this.memory.length - 1;
             }
             break;
             
@@ -310,36 +957,72 @@ class Chip8 {
             this.i = this.v[x] * 5;
             break;
             
+          case 0x0030: // FX30: Set I to the location of the large sprite for digit VX (SUPER-CHIP)
+            // Each large character is 10 bytes
+            this.i = BIG_FONTSET_ADDRESS + (this.v[x] & 0xF) * 10;
+            break;
+            
+          case 0x003A: // FX3A: Set the audio pitch register to VX (XO-CHIP)
+            if (!this.xoChip) {
+              this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
+              break;
+            }
+            this.pitch = this.v[x];
+            break;
+            
           case 0x0033: // FX33: Store BCD representation of VX in memory at I, I+1, I+2
-            this.memory[this.i] = Math.floor(this.v[x] / 100);
-            this.memory[this.i + 1] = Math.floor((this.v[x] % 100) / 10);
-            this.memory[this.i + 2] = this.v[x] % 10;
+            this.writeMemory(this.i, Math.floor(this.v[x] / 100));
+            this.writeMemory(this.i + 1, Math.floor((this.v[x] % 100) / 10));
+            this.writeMemory(this.i + 2, this.v[x] % 10);
             break;
             
           case 0x0055: // FX55: Store registers V0 through VX in memory starting at I
             for (let reg = 0; reg <= x; reg++) {
-              this.memory[this.i + reg] = this.v[reg];
+              this.writeMemory(this.i + reg, this.v[reg]);
+            }
+            // On original CHIP-8, I is incremented by X+1
+            if (this.quirks.loadStore) {
+              this.i += x + 1;
             }
-            // On original CHIP-8, I would be incremented by X+1
-            // this.i += x + 1;
             break;
             
           case 0x0065: // FX65: Read registers V0 through VX from memory starting at I
             for (let reg = 0; reg <= x; reg++) {
-              this.v[reg] = this.memory[this.i + reg];
+              this.v[reg] = this.readMemory(this.i + reg);
+            }
+            // On original CHIP-8, I is incremented by X+1
+            if (this.quirks.loadStore) {
+              this.i += x + 1;
+            }
+            break;
+            
+          case 0x0075: // FX75: Store V0 through VX in the RPL user flags (SUPER-CHIP)
+            for (let reg = 0; reg <= x; reg++) {
+              this.rplFlags[reg] = this.v[reg];
+            }
+            break;
+            
+          case 0x0085: // FX85: Read V0 through VX from the RPL user flags (SUPER-CHIP)
+            for (let reg = 0; reg <= x; reg++) {
+              this.v[reg] = this.rplFlags[reg];
             }
-            // On original CHIP-8, I would be incremented by X+1
-            // this.i += x + 1;
             break;
             
           default:
-            console.warn(`Unknown opcode: ${opcode.toString(16)}`);
+            this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
         }
         break;
         
       default:
-        console.warn(`Unknown opcode: ${opcode.toString(16)}`);
+        this.raiseFault(FAULT_UNKNOWN_OPCODE, `Unknown opcode ${opcode.toString(16)}`);
+    }
+    
+    // A halting fault leaves PC on the offending instruction
+    if (this.instructionFaulted && this.haltOnFault) {
+      this.pc = instructionPC;
     }
+    
+    this.emit('afterInstruction', { pc: instructionPC, opcode });
   }
 
   // Handle key press
@@ -359,25 +1042,45 @@ class Chip8 {
   }
 
   // Get disassembly of current instruction (for debugging)
-  disassembleInstruction(opcode) {
+  // nextWord is the 16-bit operand of the 4-byte F000 NNNN instruction; address
+  // operands are printed by name where names (address -> name) has one
+  disassembleInstruction(opcode, nextWord, names = this.symbols) {
+    const address = (value) => this.formatAddress(value, names);
     const x = (opcode & 0x0F00) >> 8;
     const y = (opcode & 0x00F0) >> 4;
     const n = opcode & 0x000F;
     const nn = opcode & 0x00FF;
     const nnn = opcode & 0x0FFF;
     
+    if (!this.xoChip && this.isXOChipOpcode(opcode)) {
+      return `UNKNOWN (${opcode.toString(16)})`;
+    }
+    
     switch (opcode & 0xF000) {
       case 0x0000:
         switch (opcode) {
           case 0x00E0: return "CLS";
           case 0x00EE: return "RET";
-          default: return `SYS ${nnn.toString(16)}`;
+          case 0x00FB: return "SCR";
+          case 0x00FC: return "SCL";
+          case 0x00FD: return "EXIT";
+          case 0x00FE: return "LOW";
+          case 0x00FF: return "HIGH";
         }
-      case 0x1000: return `JP ${nnn.toString(16)}`;
-      case 0x2000: return `CALL ${nnn.toString(16)}`;
+        if ((opcode & 0xFFF0) === 0x00C0) return `SCD ${n.toString(16)}`;
+        if ((opcode & 0xFFF0) === 0x00D0) return `SCU ${n.toString(16)}`;
+        return `SYS ${address(nnn)}`;
+      case 0x1000: return `JP ${address(nnn)}`;
+      case 0x2000: return `CALL ${address(nnn)}`;
       case 0x3000: return `SE V${x.toString(16)}, ${nn.toString(16)}`;
       case 0x4000: return `SNE V${x.toString(16)}, ${nn.toString(16)}`;
-      case 0x5000: return `SE V${x.toString(16)}, V${y.toString(16)}`;
+      case 0x5000:
+        switch (n) {
+          case 0x0: return `SE V${x.toString(16)}, V${y.toString(16)}`;
+          case 0x2: return `SAVE V${x.toString(16)}, V${y.toString(16)}`;
+          case 0x3: return `LOAD V${x.toString(16)}, V${y.toString(16)}`;
+        }
+        break;
       case 0x6000: return `LD V${x.toString(16)}, ${nn.toString(16)}`;
       case 0x7000: return `ADD V${x.toString(16)}, ${nn.toString(16)}`;
       case 0x8000:
@@ -388,16 +1091,16 @@ class Chip8 {
           case 0x3: return `XOR V${x.toString(16)}, V${y.toString(16)}`;
           case 0x4: return `ADD V${x.toString(16)}, V${y.toString(16)}`;
           case 0x5: return `SUB V${x.toString(16)}, V${y.toString(16)}`;
-          case 0x6: return `SHR V${x.toString(16)}`;
+          case 0x6: return `SHR V${x.toString(16)}, V${y.toString(16)}`;
           case 0x7: return `SUBN V${x.toString(16)}, V${y.toString(16)}`;
-          case 0xE: return `SHL V${x.toString(16)}`;
+          case 0xE: return `SHL V${x.toString(16)}, V${y.toString(16)}`;
         }
         break;
       case 0x9000: return `SNE V${x.toString(16)}, V${y.toString(16)}`;
-      case 0xA000: return `LD I, ${nnn.toString(16)}`;
-      case 0xB000: return `JP V0, ${nnn.toString(16)}`;
+      case 0xA000: return `LD I, ${address(nnn)}`;
+      case 0xB000: return `JP V0, ${address(nnn)}`;
       case 0xC000: return `RND V${x.toString(16)}, ${nn.toString(16)}`;
-      case 0xD000: return `DRW V${x.toString(16)}, V${y.toString(16)}, ${n}`;
+      case 0xD000: return `DRW V${x.toString(16)}, V${y.toString(16)}, ${n.toString(16)}`;
       case 0xE000:
         switch (nn) {
           case 0x9E: return `SKP V${x.toString(16)}`;
@@ -405,43 +1108,80 @@ class Chip8 {
         }
         break;
       case 0xF000:
+        if (opcode === 0xF000) {
+          return nextWord === undefined ? "LD I, long ????" : `LD I, long ${address(nextWord)}`;
+        }
+        if (opcode === 0xF002) return "AUDIO";
         switch (nn) {
+          case 0x01: return `PLANE ${x.toString(16)}`;
           case 0x07: return `LD V${x.toString(16)}, DT`;
           case 0x0A: return `LD V${x.toString(16)}, K`;
           case 0x15: return `LD DT, V${x.toString(16)}`;
           case 0x18: return `LD ST, V${x.toString(16)}`;
           case 0x1E: return `ADD I, V${x.toString(16)}`;
           case 0x29: return `LD F, V${x.toString(16)}`;
+          case 0x30: return `LD HF, V${x.toString(16)}`;
+          case 0x3A: return `PITCH V${x.toString(16)}`;
           case 0x33: return `LD B, V${x.toString(16)}`;
           case 0x55: return `LD [I], V${x.toString(16)}`;
           case 0x65: return `LD V${x.toString(16)}, [I]`;
+          case 0x75: return `LD R, V${x.toString(16)}`;
+          case 0x85: return `LD V${x.toString(16)}, R`;
         }
         break;
     }
     
     return `UNKNOWN (${opcode.toString(16)})`;
   }
+
+  // An address operand as the disassembly prints it: its name if it has one, otherwise hex
+  formatAddress(address, names = this.symbols) {
+    return names && names.has(address) ? names.get(address) : address.toString(16);
+  }
+
+  // An address for instruction descriptions: hex, followed by its name if it has one
+  describeAddress(address) {
+    const name = this.symbols ? this.symbols.get(address) : undefined;
+    return name ? `${address.toString(16)} (${name})` : address.toString(16);
+  }
   
   // Get a description of what the current instruction does
-  getInstructionDescription(opcode) {
+  getInstructionDescription(opcode, nextWord) {
     const x = (opcode & 0x0F00) >> 8;
     const y = (opcode & 0x00F0) >> 4;
     const n = opcode & 0x000F;
     const nn = opcode & 0x00FF;
     const nnn = opcode & 0x0FFF;
     
+    if (!this.xoChip && this.isXOChipOpcode(opcode)) {
+      return `Unknown instruction (${opcode.toString(16)})`;
+    }
+    
     switch (opcode & 0xF000) {
       case 0x0000:
         switch (opcode) {
           case 0x00E0: return "Clear the display";
           case 0x00EE: return "Return from subroutine";
-          default: return `Call machine code routine at address ${nnn.toString(16)}`;
+          case 0x00FB: return "Scroll the display right by 4 pixels";
+          case 0x00FC: return "Scroll the display left by 4 pixels";
+          case 0x00FD: return "Exit the interpreter";
+          case 0x00FE: return "Switch to 64x32 low resolution mode";
+          case 0x00FF: return "Switch to 128x64 high resolution mode";
         }
-      case 0x1000: return `Jump to address ${nnn.toString(16)}`;
-      case 0x2000: return `Call subroutine at address ${nnn.toString(16)}`;
+        if ((opcode & 0xFFF0) === 0x00C0) return `Scroll the display down by ${n} pixels`;
+        if ((opcode & 0xFFF0) === 0x00D0) return `Scroll the display up by ${n} pixels`;
+        return `Call machine code routine at address ${this.describeAddress(nnn)}`;
+      case 0x1000: return `Jump to address ${this.describeAddress(nnn)}`;
+      case 0x2000: return `Call subroutine at address ${this.describeAddress(nnn)}`;
       case 0x3000: return `Skip next instruction if V${x.toString(16)} equals ${nn.toString(16)}`;
       case 0x4000: return `Skip next instruction if V${x.toString(16)} doesn't equal ${nn.toString(16)}`;
-      case 0x5000: return `Skip next instruction if V${x.toString(16)} equals V${y.toString(16)}`;
+      case 0x5000:
+        switch (n) {
+          case 0x0: return `Skip next instruction if V${x.toString(16)} equals V${y.toString(16)}`;
+          case 0x2: return `Store V${x.toString(16)} to V${y.toString(16)} in memory starting at address I`;
+          case 0x3: return `Load V${x.toString(16)} to V${y.toString(16)} from memory starting at address I`;
+        }
+        break;
       case 0x6000: return `Set V${x.toString(16)} to ${nn.toString(16)}`;
       case 0x7000: return `Add ${nn.toString(16)} to V${x.toString(16)}`;
       case 0x8000:
@@ -452,16 +1192,18 @@ class Chip8 {
           case 0x3: return `Set V${x.toString(16)} to V${x.toString(16)} XOR V${y.toString(16)}`;
           case 0x4: return `Add V${y.toString(16)} to V${x.toString(16)} with carry`;
           case 0x5: return `Subtract V${y.toString(16)} from V${x.toString(16)}`;
-          case 0x6: return `Shift V${x.toString(16)} right by 1`;
+          case 0x6: return `Shift V${(this.quirks.shift ? x : y).toString(16)} right by 1 into V${x.toString(16)}`;
           case 0x7: return `Set V${x.toString(16)} to V${y.toString(16)} - V${x.toString(16)}`;
-          case 0xE: return `Shift V${x.toString(16)} left by 1`;
+          case 0xE: return `Shift V${(this.quirks.shift ? x : y).toString(16)} left by 1 into V${x.toString(16)}`;
         }
         break;
       case 0x9000: return `Skip next instruction if V${x.toString(16)} doesn't equal V${y.toString(16)}`;
-      case 0xA000: return `Set I to address ${nnn.toString(16)}`;
-      case 0xB000: return `Jump to address ${nnn.toString(16)} + V0`;
+      case 0xA000: return `Set I to address ${this.describeAddress(nnn)}`;
+      case 0xB000: return `Jump to address ${this.describeAddress(nnn)} + V${(this.quirks.jump ? x : 0).toString(16)}`;
       case 0xC000: return `Set V${x.toString(16)} to a random number AND ${nn.toString(16)}`;
-      case 0xD000: return `Draw ${n}-byte sprite at (V${x.toString(16)}, V${y.toString(16)})`;
+      case 0xD000:
+        if (n === 0) return `Draw 16x16 sprite at (V${x.toString(16)}, V${y.toString(16)})`;
+        return `Draw ${n}-byte sprite at (V${x.toString(16)}, V${y.toString(16)})`;
       case 0xE000:
         switch (nn) {
           case 0x9E: return `Skip next instruction if key V${x.toString(16)} is pressed`;
@@ -469,16 +1211,25 @@ class Chip8 {
         }
         break;
       case 0xF000:
+        if (opcode === 0xF000) {
+          return nextWord === undefined ? "Set I to the following 16-bit address" : `Set I to address ${this.describeAddress(nextWord)}`;
+        }
+        if (opcode === 0xF002) return "Load the 16-byte audio pattern from memory at address I";
         switch (nn) {
+          case 0x01: return `Select drawing planes ${x.toString(16)}`;
           case 0x07: return `Set V${x.toString(16)} to the value of the delay timer`;
           case 0x0A: return `Wait for key press and store in V${x.toString(16)}`;
           case 0x15: return `Set delay timer to V${x.toString(16)}`;
           case 0x18: return `Set sound timer to V${x.toString(16)}`;
           case 0x1E: return `Add V${x.toString(16)} to I`;
           case 0x29: return `Set I to the location of sprite for digit V${x.toString(16)}`;
+          case 0x30: return `Set I to the location of large sprite for digit V${x.toString(16)}`;
+          case 0x3A: return `Set the audio pitch to V${x.toString(16)}`;
           case 0x33: return `Store BCD representation of V${x.toString(16)} in memory at I, I+1, I+2`;
           case 0x55: return `Store V0 to V${x.toString(16)} in memory starting at address I`;
           case 0x65: return `Load V0 to V${x.toString(16)} from memory starting at address I`;
+          case 0x75: return `Store V0 to V${x.toString(16)} in the RPL user flags`;
+          case 0x85: return `Load V0 to V${x.toString(16)} from the RPL user flags`;
         }
         break;
     }
@@ -487,8 +1238,25 @@ class Chip8 {
   }
 }
 
-// Create a single instance of the Chip8 emulator
-const chip8 = new Chip8();
-
-// Export for use in other modules
-window.chip8 = chip8;
\ No newline at end of file
+// Export for use in other modules: a CommonJS module under Node,
+// a single shared instance on the debugger page
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Chip8,
+    Chip8Fault,
+    QUIRK_NAMES,
+    QUIRK_PRESETS,
+    MEM_SIZE,
+    XO_MEM_SIZE,
+    DISPLAY_WIDTH,
+    DISPLAY_HEIGHT,
+    HIRES_DISPLAY_WIDTH,
+    HIRES_DISPLAY_HEIGHT,
+    NUM_KEYS,
+    TIMER_HZ
+  };
+} else {
+  // Create a single instance of the Chip8 emulator
+  const chip8 = new Chip8();
+  window.chip8 = chip8;
+}
\ No newline at end of file
@@ -0,0 +1,258 @@
+/**
+ * Disassembler - Whole-ROM disassembly guided by control flow
+ *
+ * Instead of decoding every even address, the analysis starts at 0x200 (and
+ * any other known entry points) and follows the program: jumps and calls
+ * continue at their targets, skips continue at both the next and the
+ * following instruction, and RET/EXIT end a path. Everything never reached
+ * this way is treated as data. Jump, call and I-register targets get labels,
+ * and every label keeps the list of instructions that refer to it. Names from
+ * the emulator's symbol table replace the generated ones.
+ */
+const ROM_START = 0x200;
+
+class Disassembler {
+  constructor(chip8) {
+    this.chip8 = chip8;
+  }
+
+  /**
+   * Analyze memory from start to end (exclusive; by default the loaded ROM).
+   * Returns { start, end, instructions, labels, xrefs, lines }.
+   */
+  analyze({ start = ROM_START, end = ROM_START + this.chip8.romSize, entryPoints = [] } = {}) {
+    const memory = this.chip8.memory;
+    end = Math.min(end, memory.length);
+
+    const instructions = new Map();   // Address -> { address, opcode, nextWord, length }
+    const targets = new Map();        // Address -> 'call', 'jump' or 'data' (strongest kind wins)
+    const xrefs = new Map();          // Address -> [{ from, type }]
+    const pending = [start, ...entryPoints];
+
+    const inRange = (address) => address >= start && address < end;
+    const addReference = (target, from, type) => {
+      if (!xrefs.has(target)) xrefs.set(target, []);
+      xrefs.get(target).push({ from, type });
+      const kinds = ['data', 'jump', 'call'];
+      if (kinds.indexOf(type) > kinds.indexOf(targets.get(target))) {
+        targets.set(target, type);
+      }
+    };
+
+    while (pending.length) {
+      let address = pending.pop();
+
+      // Follow one path until it ends, queueing the branches it passes
+      while (inRange(address) && address + 1 < end && !instructions.has(address)) {
+        const opcode = (memory[address] << 8) | memory[address + 1];
+        const length = this.chip8.getInstructionLength(opcode);
+        if (address + length > end) break;
+
+        const nextWord = length === 4 ? (memory[address + 2] << 8) | memory[address + 3] : null;
+        instructions.set(address, { address, opcode, nextWord, length });
+
+        const next = address + length;
+        const flow = Disassembler.controlFlow(opcode, nextWord);
+        if (flow.target !== null) {
+          addReference(flow.target, address, flow.type);
+          if (flow.type !== 'data') pending.push(flow.target);
+        }
+        if (flow.skip && next + 1 < memory.length) {
+          // A skip jumps over the next instruction, which may be a 4-byte long load
+          const skipped = (memory[next] << 8) | memory[next + 1];
+          pending.push(next + this.chip8.getInstructionLength(skipped));
+        }
+        if (flow.ends) break;
+        address = next;
+      }
+    }
+
+    // Bytes inside an instruction can't carry a label, as the listing never starts a row there
+    const covered = new Set();
+    for (let address = start; address < end; ) {
+      const instruction = instructions.get(address);
+      const length = instruction ? instruction.length : 1;
+      for (let offset = 1; offset < length; offset++) {
+        covered.add(address + offset);
+      }
+      address += length;
+    }
+
+    // Name the targets inside the analyzed range, preferring the symbol table's names
+    const labels = new Map();
+    const symbols = this.chip8.symbols || new Map();
+    const symbolNames = new Set(symbols.values());
+    const prefixes = { call: 'sub', jump: 'loc', data: 'data' };
+    const generate = (address, name) => {
+      if (!symbolNames.has(name)) labels.set(address, name);
+    };
+    targets.forEach((type, address) => {
+      if (inRange(address) && !covered.has(address)) {
+        generate(address, `${prefixes[type]}_${address.toString(16).padStart(4, '0')}`);
+      }
+    });
+    if (instructions.has(start)) {
+      generate(start, 'start');
+    }
+    symbols.forEach((name, address) => {
+      if (inRange(address) && !covered.has(address)) {
+        labels.set(address, name);
+      }
+    });
+
+    const listing = { start, end, instructions, labels, xrefs, lines: [] };
+    listing.lines = this.buildLines(listing);
+    return listing;
+  }
+
+  /**
+   * How an instruction affects control flow: the address it refers to, what kind
+   * of reference that is, whether it may skip the next instruction and whether
+   * execution ever continues after it
+   */
+  static controlFlow(opcode, nextWord) {
+    const nnn = opcode & 0x0FFF;
+    const flow = { target: null, type: null, skip: false, ends: false };
+
+    switch (opcode & 0xF000) {
+      case 0x0000:
+        flow.ends = opcode === 0x00EE || opcode === 0x00FD;
+        break;
+      case 0x1000:
+        Object.assign(flow, { target: nnn, type: 'jump', ends: true });
+        break;
+      case 0x2000:
+        Object.assign(flow, { target: nnn, type: 'call' });
+        break;
+      case 0x3000:
+      case 0x4000:
+        flow.skip = true;
+        break;
+      case 0x5000:
+      case 0x9000:
+        flow.skip = (opcode & 0x000F) === 0;
+        break;
+      case 0xA000:
+        Object.assign(flow, { target: nnn, type: 'data' });
+        break;
+      case 0xB000:
+        // Only the base of a computed jump is known
+        Object.assign(flow, { target: nnn, type: 'jump', ends: true });
+        break;
+      case 0xE000:
+        flow.skip = (opcode & 0x00FF) === 0x9E || (opcode & 0x00FF) === 0xA1;
+        break;
+      case 0xF000:
+        if (opcode === 0xF000 && nextWord !== null) {
+          Object.assign(flow, { target: nextWord, type: 'data' });
+        }
+        break;
+    }
+
+    return flow;
+  }
+
+  /**
+   * The listing as rows: code rows hold one instruction, data rows up to 8 bytes
+   * (a data row never crosses a label)
+   */
+  buildLines({ start, end, instructions, labels, xrefs }) {
+    const memory = this.chip8.memory;
+    const lines = [];
+
+    for (let address = start; address < end; ) {
+      const instruction = instructions.get(address);
+      const line = {
+        address,
+        label: labels.get(address) || null,
+        xrefs: xrefs.get(address) || []
+      };
+
+      if (instruction) {
+        line.type = 'code';
+        line.length = instruction.length;
+        line.opcode = instruction.opcode;
+        line.text = this.formatInstruction(instruction, labels);
+      } else {
+        // Data runs until the next instruction, label or row boundary
+        let length = 1;
+        while (length < 8 && address + length < end && !instructions.has(address + length) && !labels.has(address + length)) {
+          length++;
+        }
+        line.type = 'data';
+        line.length = length;
+      }
+
+      line.bytes = memory.slice(address, address + line.length);
+      lines.push(line);
+      address += line.length;
+    }
+
+    return lines;
+  }
+
+  /**
+   * Disassemble an instruction, naming its target by label where there is one
+   * (opcodes without a mnemonic of their own are written as a dw, so the text reassembles to the same bytes)
+   */
+  formatInstruction({ opcode, nextWord }, labels) {
+    const text = this.chip8.disassembleInstruction(opcode, nextWord === null ? 0 : nextWord, labels);
+
+    // 9XYN with N other than 0 runs as SNE but would reassemble to 9XY0
+    if (text.startsWith('UNKNOWN') || ((opcode & 0xF000) === 0x9000 && (opcode & 0x000F) !== 0)) {
+      return `dw 0x${opcode.toString(16).padStart(4, '0')}`;
+    }
+    return text;
+  }
+
+  /**
+   * Data bytes as a db directive
+   */
+  static formatData(bytes) {
+    return 'db ' + Array.from(bytes, byte => `0x${byte.toString(16).padStart(2, '0')}`).join(', ');
+  }
+
+  /**
+   * A byte drawn as a sprite row, e.g. 0xF0 -> "####...."
+   */
+  static formatSpriteRow(byte) {
+    return byte.toString(2).padStart(8, '0').replace(/0/g, '.').replace(/1/g, '#');
+  }
+
+  /**
+   * The listing as assembler source. Addresses, opcodes and cross-references
+   * go in comments. With dataFormat 'sprite' data is one byte per row, drawn.
+   */
+  exportText(listing, dataFormat = 'bytes') {
+    const hex = (value, width) => value.toString(16).padStart(width, '0');
+    const output = [
+      `; CHIP-8 disassembly of 0x${hex(listing.start, 4)}-0x${hex(listing.end - 1, 4)}`,
+      `org 0x${hex(listing.start, 3)}`
+    ];
+
+    listing.lines.forEach(line => {
+      if (line.label) {
+        const references = line.xrefs.map(xref => `${xref.type} 0x${hex(xref.from, 4)}`).join(', ');
+        output.push('');
+        output.push(`${line.label}:${references ? `  ; referenced by ${references}` : ''}`);
+      }
+
+      if (line.type === 'code') {
+        const bytes = Array.from(line.bytes, byte => hex(byte, 2)).join('');
+        output.push(`    ${line.text.padEnd(28)}; ${hex(line.address, 4)}: ${bytes}`);
+      } else if (dataFormat === 'sprite') {
+        line.bytes.forEach((byte, offset) => {
+          output.push(`    ${Disassembler.formatData([byte]).padEnd(28)}; ${hex(line.address + offset, 4)}: ${Disassembler.formatSpriteRow(byte)}`);
+        });
+      } else {
+        output.push(`    ${Disassembler.formatData(line.bytes).padEnd(28)}; ${hex(line.address, 4)}`);
+      }
+    });
+
+    return output.join('\n') + '\n';
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Disassembler, ROM_START };
+}
@@ -0,0 +1,178 @@
+/**
+ * DisplayRenderer - Draws the CHIP-8 display on a canvas
+ *
+ * The display is written into an image at its own resolution and scaled up
+ * without smoothing. The canvas stays the same size in both resolutions:
+ * high resolution pixels are drawn at half the scale. Pixels hold an XO-CHIP
+ * plane mask (0-3), which picks one of the palette's four colors.
+ *
+ * With persistence on, pixels that go dark fade out over a few frames instead
+ * of disappearing, like a phosphor screen, so sprites erased and redrawn with
+ * XOR don't flicker. Lit pixels always show at full brightness. Fading only
+ * makes sense at speed, so a render can ask for the exact display instead.
+ */
+const DISPLAY_PALETTES = {
+  classic: { name: 'Black and white', colors: ['#000000', '#ffffff', '#ff6600', '#999999'] },
+  octo: { name: 'Octo', colors: ['#996600', '#ffcc00', '#ff6600', '#662200'] },
+  green: { name: 'Green phosphor', colors: ['#041a04', '#33ff66', '#1a8c3a', '#b3ffcc'] },
+  amber: { name: 'Amber', colors: ['#1a0f00', '#ffb000', '#a35a00', '#ffd780'] },
+  lcd: { name: 'LCD', colors: ['#9bbc0f', '#0f380f', '#306230', '#8bac0f'] },
+  inverted: { name: 'Inverted', colors: ['#ffffff', '#000000', '#ff6600', '#666666'] }
+};
+
+// Fraction of a dark pixel's last brightness it keeps each frame
+const DISPLAY_PERSISTENCE_LEVELS = { off: 0, low: 0.5, medium: 0.7, high: 0.85 };
+
+const DISPLAY_GRID_MIN_SCALE = 4;   // Pixels smaller than this are too small to outline
+
+class DisplayRenderer {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.scale = 10;             // Canvas pixels per low resolution display pixel
+    this.palette = 'classic';    // Key of DISPLAY_PALETTES
+    this.grid = false;           // Outline every display pixel
+    this.persistence = 'off';    // Key of DISPLAY_PERSISTENCE_LEVELS
+
+    this.width = 0;              // Display resolution last rendered
+    this.height = 0;
+    this.shown = null;           // RGB of each pixel as last shown, faded by persistence
+    this.image = null;           // ImageData at display resolution
+    this.buffer = null;          // Canvas holding the image, scaled onto the visible canvas
+  }
+
+  get colors() {
+    return DISPLAY_PALETTES[this.palette].colors.map(DisplayRenderer.parseColor);
+  }
+
+  /**
+   * Whether pixels are still fading, so the display needs rendering even
+   * when nothing was drawn
+   */
+  get fading() {
+    return DISPLAY_PERSISTENCE_LEVELS[this.persistence] > 0;
+  }
+
+  /**
+   * Canvas pixels per display pixel at a display width
+   */
+  pixelSize(width = this.width) {
+    return this.scale * 64 / width;
+  }
+
+  // Start over at a new resolution
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.shown = null;
+    this.canvas.width = 64 * this.scale;
+    this.canvas.height = 32 * this.scale;
+
+    if (this.context) {
+      this.buffer = document.createElement('canvas');
+      this.buffer.width = width;
+      this.buffer.height = height;
+      this.image = this.context.createImageData(width, height);
+    }
+  }
+
+  /**
+   * Draw the display (rows of plane masks), letting dark pixels fade unless
+   * fade is false
+   */
+  render(display, fade = true) {
+    const height = display.length;
+    const width = display[0].length;
+    if (width !== this.width || height !== this.height || this.canvas.width !== 64 * this.scale) {
+      this.resize(width, height);
+    }
+    if (!this.context) return;
+
+    const colors = this.colors;
+    const keep = fade ? DISPLAY_PERSISTENCE_LEVELS[this.persistence] : 0;
+    const first = this.shown === null;
+    if (first) {
+      this.shown = new Float32Array(width * height * 3);
+    }
+
+    const data = this.image.data;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = y * width + x;
+        const value = display[y][x];
+        const color = colors[value];
+        for (let channel = 0; channel < 3; channel++) {
+          const index = pixel * 3 + channel;
+          // Lit pixels show at once; dark ones fade from what was shown
+          this.shown[index] = value || first || keep === 0
+            ? color[channel]
+            : color[channel] + (this.shown[index] - color[channel]) * keep;
+          data[pixel * 4 + channel] = this.shown[index];
+        }
+        data[pixel * 4 + 3] = 255;
+      }
+    }
+
+    this.buffer.getContext('2d').putImageData(this.image, 0, 0);
+    this.context.imageSmoothingEnabled = false;
+    this.context.drawImage(this.buffer, 0, 0, this.canvas.width, this.canvas.height);
+
+    if (this.grid && this.pixelSize() >= DISPLAY_GRID_MIN_SCALE) {
+      this.drawGrid();
+    }
+  }
+
+  drawGrid() {
+    const size = this.pixelSize();
+    const context = this.context;
+    context.strokeStyle = 'rgba(128, 128, 128, 0.5)';
+    context.lineWidth = 1;
+    context.beginPath();
+    for (let x = 0; x <= this.width; x++) {
+      context.moveTo(x * size + 0.5, 0);
+      context.lineTo(x * size + 0.5, this.canvas.height);
+    }
+    for (let y = 0; y <= this.height; y++) {
+      context.moveTo(0, y * size + 0.5);
+      context.lineTo(this.canvas.width, y * size + 0.5);
+    }
+    context.stroke();
+  }
+
+  /**
+   * The display pixel { x, y } under a point in client coordinates, or null
+   */
+  pixelAt(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    if (!rect.width || !rect.height || !this.width) return null;
+    const x = Math.floor((clientX - rect.left) * this.width / rect.width);
+    const y = Math.floor((clientY - rect.top) * this.height / rect.height);
+    return x >= 0 && x < this.width && y >= 0 && y < this.height ? { x, y } : null;
+  }
+
+  /**
+   * The display as last shown, without the grid, as a PNG blob (passed to callback)
+   */
+  toPNG(callback) {
+    const canvas = document.createElement('canvas');
+    canvas.width = this.canvas.width;
+    canvas.height = this.canvas.height;
+    const context = canvas.getContext('2d');
+    if (!context || !this.buffer) {
+      callback(null);
+      return;
+    }
+    context.imageSmoothingEnabled = false;
+    context.drawImage(this.buffer, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(callback, 'image/png');
+  }
+
+  // '#rrggbb' -> [r, g, b]
+  static parseColor(color) {
+    return [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DisplayRenderer, DISPLAY_PALETTES, DISPLAY_PERSISTENCE_LEVELS };
+}
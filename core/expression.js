@@ -0,0 +1,142 @@
+/**
+ * compileExpression - Compile a debugger condition such as "V3 == 0x10 && I > 0x300"
+ *
+ * Operands are numbers (decimal, 0x hex or 0b binary), the registers V0-VF,
+ * I, PC, SP, DT (delay timer) and ST (sound timer), and memory bytes written
+ * as [address]. Operators, loosest binding first:
+ *
+ *   ||   &&   |   ^   &   == !=   < <= > >=   + -   unary ! - ~
+ *
+ * Comparisons give 1 or 0. The expression is parsed once into a function of
+ * the emulator, so evaluating it per instruction is cheap and never uses eval.
+ */
+const EXPRESSION_TOKEN = /\s*(0x[0-9a-f]+|0b[01]+|\d+|[a-z]\w*|\|\||&&|==|!=|<=|>=|[<>+\-!~&|^()[\]])/iy;
+
+const EXPRESSION_REGISTERS = {
+  I: (chip8) => chip8.i,
+  PC: (chip8) => chip8.pc,
+  SP: (chip8) => chip8.sp,
+  DT: (chip8) => chip8.delayTimer,
+  ST: (chip8) => chip8.soundTimer
+};
+
+// Binary operator precedence levels, loosest first
+const EXPRESSION_OPERATORS = [
+  { '||': (a, b) => (a || b ? 1 : 0) },
+  { '&&': (a, b) => (a && b ? 1 : 0) },
+  { '|': (a, b) => a | b },
+  { '^': (a, b) => a ^ b },
+  { '&': (a, b) => a & b },
+  { '==': (a, b) => (a === b ? 1 : 0), '!=': (a, b) => (a !== b ? 1 : 0) },
+  { '<': (a, b) => (a < b ? 1 : 0), '<=': (a, b) => (a <= b ? 1 : 0), '>': (a, b) => (a > b ? 1 : 0), '>=': (a, b) => (a >= b ? 1 : 0) },
+  { '+': (a, b) => a + b, '-': (a, b) => a - b }
+];
+
+function tokenizeExpression(text) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+
+  while (EXPRESSION_TOKEN.lastIndex < text.length) {
+    if (text.slice(EXPRESSION_TOKEN.lastIndex).trim() === '') break;
+
+    const start = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(text);
+    if (!match) {
+      const position = start + (text.slice(start).length - text.slice(start).trimStart().length);
+      throw new Error(`Unexpected "${text[position]}" at column ${position + 1}`);
+    }
+    tokens.push(match[1]);
+  }
+
+  return tokens;
+}
+
+function compileExpression(text) {
+  const tokens = tokenizeExpression(text);
+  let position = 0;
+
+  if (tokens.length === 0) {
+    throw new Error('Empty expression');
+  }
+
+  const peek = () => tokens[position];
+  const expect = (token) => {
+    if (tokens[position] !== token) {
+      throw new Error(`Expected "${token}" but found ${tokens[position] ? `"${tokens[position]}"` : 'the end'}`);
+    }
+    position++;
+  };
+
+  function parseBinary(level) {
+    if (level === EXPRESSION_OPERATORS.length) {
+      return parseUnary();
+    }
+
+    const operators = EXPRESSION_OPERATORS[level];
+    let left = parseBinary(level + 1);
+    while (operators[peek()]) {
+      const operator = operators[tokens[position++]];
+      const lhs = left;
+      const rhs = parseBinary(level + 1);
+      left = (chip8) => operator(lhs(chip8), rhs(chip8));
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token === '!' || token === '-' || token === '~') {
+      position++;
+      const operand = parseUnary();
+      if (token === '!') return (chip8) => (operand(chip8) ? 0 : 1);
+      if (token === '-') return (chip8) => -operand(chip8);
+      return (chip8) => ~operand(chip8);
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (token === undefined) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token === '(') {
+      const inner = parseBinary(0);
+      expect(')');
+      return inner;
+    }
+
+    if (token === '[') {
+      const address = parseBinary(0);
+      expect(']');
+      return (chip8) => chip8.memory[address(chip8)] || 0;
+    }
+
+    if (/^(0x[0-9a-f]+|0b[01]+|\d+)$/i.test(token)) {
+      const value = /^0b/i.test(token) ? parseInt(token.slice(2), 2) : Number(token);
+      return () => value;
+    }
+
+    const name = token.toUpperCase();
+    if (/^V[0-9A-F]$/.test(name)) {
+      const reg = parseInt(name[1], 16);
+      return (chip8) => chip8.v[reg];
+    }
+    if (EXPRESSION_REGISTERS[name]) {
+      return EXPRESSION_REGISTERS[name];
+    }
+
+    throw new Error(`Unknown operand "${token}"`);
+  }
+
+  const evaluate = parseBinary(0);
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}"`);
+  }
+  return evaluate;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { compileExpression };
+}
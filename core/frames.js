@@ -0,0 +1,166 @@
+/**
+ * FrameHistory - Recent display frames, for finding glitches that last a frame or two
+ *
+ * While recording, a snapshot of the display is taken at every 60Hz tick (the
+ * emulator's 'frame' event) and, optionally, after every DXYN that changed a
+ * pixel. Snapshots go into a ring buffer, so only the most recent ones are
+ * kept. Each holds the display's plane masks (0-3) one byte per pixel.
+ */
+const FRAME_HISTORY_CAPACITY = 600;   // Snapshots kept (ten seconds of 60Hz ticks)
+
+// How a pixel differs between two snapshots
+const FRAME_DIFF_SAME = 0;
+const FRAME_DIFF_ON = 1;        // Dark before, lit after
+const FRAME_DIFF_OFF = 2;       // Lit before, dark after
+const FRAME_DIFF_CHANGED = 3;   // Lit in another XO-CHIP plane combination
+
+class FrameHistory {
+  constructor(chip8, capacity = FRAME_HISTORY_CAPACITY) {
+    this.chip8 = chip8;
+    this.capacity = capacity;
+    this.recording = false;
+    this.perDraw = false;         // Also take a snapshot after each DXYN
+
+    this.frame = () => this.capture('frame', null);
+    this.draw = (draw) => this.capture('draw', draw);
+
+    this.clear();
+  }
+
+  /**
+   * Start (or resume) recording
+   */
+  start() {
+    if (this.recording) return;
+    this.recording = true;
+    this.chip8.on('frame', this.frame);
+    if (this.perDraw) this.chip8.on('draw', this.draw);
+  }
+
+  /**
+   * Pause recording, keeping the snapshots taken so far
+   */
+  pause() {
+    if (!this.recording) return;
+    this.recording = false;
+    this.chip8.off('frame', this.frame);
+    if (this.perDraw) this.chip8.off('draw', this.draw);
+  }
+
+  setPerDraw(enabled) {
+    if (enabled === this.perDraw) return;
+    if (this.recording) {
+      if (enabled) {
+        this.chip8.on('draw', this.draw);
+      } else {
+        this.chip8.off('draw', this.draw);
+      }
+    }
+    this.perDraw = enabled;
+  }
+
+  /**
+   * Forget every snapshot
+   */
+  clear() {
+    this.snapshots = new Array(this.capacity);
+    this.first = 0;     // Ring index of the oldest snapshot
+    this.length = 0;
+    this.taken = 0;     // Snapshots taken since the last clear, numbering them
+  }
+
+  capture(kind, draw) {
+    const { displayWidth: width, displayHeight: height, display } = this.chip8;
+    const pixels = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      pixels.set(display[y], y * width);
+    }
+
+    const snapshot = {
+      number: this.taken++,
+      kind,
+      frame: this.chip8.frameCount,
+      pc: draw ? draw.pc : null,
+      width,
+      height,
+      pixels
+    };
+
+    if (this.length < this.capacity) {
+      this.snapshots[(this.first + this.length) % this.capacity] = snapshot;
+      this.length++;
+    } else {
+      this.snapshots[this.first] = snapshot;
+      this.first = (this.first + 1) % this.capacity;
+    }
+    return snapshot;
+  }
+
+  /**
+   * A snapshot by position, 0 being the oldest kept
+   */
+  get(index) {
+    return index >= 0 && index < this.length ? this.snapshots[(this.first + index) % this.capacity] : null;
+  }
+
+  /**
+   * A snapshot as display rows, the way the emulator holds the display
+   */
+  static toRows(snapshot) {
+    const rows = [];
+    for (let y = 0; y < snapshot.height; y++) {
+      rows.push(Array.from(snapshot.pixels.subarray(y * snapshot.width, (y + 1) * snapshot.width)));
+    }
+    return rows;
+  }
+
+  /**
+   * How each pixel changed from one snapshot to the next: { pixels } of
+   * FRAME_DIFF_* values, with counts of pixels turned on, off and changed.
+   * A snapshot at another resolution compares as a blank display.
+   */
+  static diff(before, after) {
+    const pixels = new Uint8Array(after.pixels.length);
+    const counts = { on: 0, off: 0, changed: 0 };
+    const comparable = before && before.width === after.width && before.height === after.height;
+
+    for (let i = 0; i < pixels.length; i++) {
+      const old = comparable ? before.pixels[i] : 0;
+      const value = after.pixels[i];
+      if (old === value) continue;
+      if (old === 0) {
+        pixels[i] = FRAME_DIFF_ON;
+        counts.on++;
+      } else if (value === 0) {
+        pixels[i] = FRAME_DIFF_OFF;
+        counts.off++;
+      } else {
+        pixels[i] = FRAME_DIFF_CHANGED;
+        counts.changed++;
+      }
+    }
+    return { pixels, ...counts };
+  }
+
+  /**
+   * A snapshot's pixels scaled up by a whole number, one byte per output pixel
+   */
+  static scale(snapshot, size) {
+    const width = snapshot.width * size;
+    const output = new Uint8Array(width * snapshot.height * size);
+    for (let y = 0; y < snapshot.height; y++) {
+      const row = new Uint8Array(width);
+      for (let x = 0; x < snapshot.width; x++) {
+        row.fill(snapshot.pixels[y * snapshot.width + x], x * size, (x + 1) * size);
+      }
+      for (let repeat = 0; repeat < size; repeat++) {
+        output.set(row, (y * size + repeat) * width);
+      }
+    }
+    return output;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FrameHistory, FRAME_DIFF_SAME, FRAME_DIFF_ON, FRAME_DIFF_OFF, FRAME_DIFF_CHANGED };
+}
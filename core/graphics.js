@@ -0,0 +1,104 @@
+/**
+ * DrawInspector - What each DXYN drew
+ *
+ * Every draw of the current 60Hz frame is recorded from the emulator's 'draw'
+ * event with its source address, coordinates, size and collision flag, and
+ * the previous frame's draws are kept once a new frame starts. For each
+ * display pixel the inspector remembers the last draw that toggled it, moving
+ * the record along when the display scrolls and dropping it when the pixel is
+ * cleared.
+ */
+class DrawInspector {
+  constructor(chip8) {
+    this.chip8 = chip8;
+
+    this.clear();
+    chip8.on('draw', (draw) => this.record(draw));
+    chip8.on('frame', () => this.endFrame());
+    chip8.on('clear', () => this.dropDarkPixels());
+    chip8.on('scroll', ({ dx, dy }) => this.scroll(dx, dy));
+  }
+
+  clear() {
+    this.draws = [];             // Draws of the current frame
+    this.previousDraws = [];     // Draws of the last complete frame
+    this.pixelOwners = new Map(); // y * 256 + x -> last draw that toggled the pixel
+  }
+
+  record({ pc, opcode, x, y, width, height, address, planes, collision, pixels }) {
+    const draw = {
+      index: this.draws.length,
+      frame: this.chip8.frameCount,
+      pc, opcode, x, y, width, height, address, planes, collision,
+      pixelCount: pixels.length / 2
+    };
+    this.draws.push(draw);
+
+    for (let p = 0; p < pixels.length; p += 2) {
+      this.pixelOwners.set(pixels[p + 1] * 256 + pixels[p], draw);
+    }
+  }
+
+  // Scrolling moves the pixels a draw toggled
+  scroll(dx, dy) {
+    const owners = new Map();
+    this.pixelOwners.forEach((draw, key) => {
+      const x = key % 256 + dx;
+      const y = Math.floor(key / 256) + dy;
+      if (x >= 0 && x < this.chip8.displayWidth && y >= 0 && y < this.chip8.displayHeight) {
+        owners.set(y * 256 + x, draw);
+      }
+    });
+    this.pixelOwners = owners;
+    this.dropDarkPixels();
+  }
+
+  // Forget the draws of pixels that are no longer lit
+  dropDarkPixels() {
+    const display = this.chip8.display;
+    this.pixelOwners.forEach((draw, key) => {
+      const row = display[Math.floor(key / 256)];
+      if (!row || !row[key % 256]) this.pixelOwners.delete(key);
+    });
+  }
+
+  endFrame() {
+    // A frame without draws keeps the last frame that had some on show
+    if (this.draws.length) {
+      this.previousDraws = this.draws;
+      this.draws = [];
+    }
+  }
+
+  /**
+   * The draw that last toggled a display pixel, or null
+   */
+  pixelOwner(x, y) {
+    return this.pixelOwners.get(y * 256 + x) || null;
+  }
+
+  /**
+   * Sprite data as rows of pixels (true = set): height rows of width (8 or 16)
+   * pixels from memory at address
+   */
+  static readSprite(memory, address, height, width = 8) {
+    const bytesPerRow = width / 8;
+    const rows = [];
+    for (let row = 0; row < height; row++) {
+      let bits = 0;
+      for (let b = 0; b < bytesPerRow; b++) {
+        bits = (bits << 8) | (memory[address + row * bytesPerRow + b] || 0);
+      }
+      const pixels = [];
+      for (let col = 0; col < width; col++) {
+        pixels.push((bits & (1 << (width - 1 - col))) !== 0);
+      }
+      rows.push(pixels);
+    }
+    return rows;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DrawInspector };
+}
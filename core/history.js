@@ -0,0 +1,269 @@
+/**
+ * ExecutionHistory - A bounded record of per-instruction state changes
+ *
+ * Before each instruction the registers, timers and stack are copied, and
+ * while it runs the emulator journals every memory write and pixel toggle.
+ * Undoing an entry puts all of it back, so the debugger can step backwards.
+ * Undone entries are kept, with the state they undid, until the machine runs
+ * another instruction, so they can be redone. Changes the user makes while
+ * paused are recorded as entries of their own, so they can be undone too.
+ */
+class ExecutionHistory {
+  constructor(chip8, capacity = 10000) {
+    this.chip8 = chip8;
+    this.capacity = capacity;
+    this.entries = new Array(capacity);   // Ring buffer of entries
+    this.start = 0;                       // Index of the oldest entry
+    this.length = 0;                      // Number of recorded entries
+    this.current = null;                  // Entry of the instruction being executed
+    this.undone = [];                     // { entry, after } of undone instructions, most recent last
+
+    this.beforeInstruction = (event) => this.record(event);
+    this.afterInstruction = () => this.commit();
+    chip8.on('beforeInstruction', this.beforeInstruction);
+    chip8.on('afterInstruction', this.afterInstruction);
+  }
+
+  /**
+   * Stop recording
+   */
+  detach() {
+    this.chip8.off('beforeInstruction', this.beforeInstruction);
+    this.chip8.off('afterInstruction', this.afterInstruction);
+  }
+
+  /**
+   * Forget every recorded instruction
+   */
+  clear() {
+    this.entries = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+    this.undone = [];
+  }
+
+  /**
+   * Number of undone instructions that can be redone
+   */
+  get redoLength() {
+    return this.undone.length;
+  }
+
+  /**
+   * Copy the state an instruction may change and start journaling its writes
+   */
+  record({ pc, opcode }) {
+    const chip8 = this.chip8;
+    this.undone = [];   // Running something new replaces what was undone
+
+    this.current = {
+      ...this.copyState(),
+      pc,
+      opcode,
+      // Only FX75 and F002 touch these, so skip the copy otherwise
+      rplFlags: (opcode & 0xF0FF) === 0xF075 ? chip8.rplFlags.slice() : null,
+      audioPattern: opcode === 0xF002 ? chip8.audioPattern.slice() : null,
+      journal: { memory: [], pixels: [], display: null }
+    };
+
+    chip8.journal = this.current.journal;
+  }
+
+  /**
+   * Record a change made by the user rather than an instruction as one entry.
+   * edit(journal) makes the change, pushing the address and old value of each
+   * memory byte it overwrites onto journal.memory.
+   */
+  recordEdit(edit) {
+    this.record({ pc: this.chip8.pc, opcode: null });
+    this.current.edit = true;
+    edit(this.current.journal);
+    this.commit();
+  }
+
+  // The registers and flags an entry restores
+  copyState() {
+    const chip8 = this.chip8;
+    return {
+      pc: chip8.pc,
+      romSize: chip8.romSize,
+      i: chip8.i,
+      sp: chip8.sp,
+      v: chip8.v.slice(),
+      stack: chip8.stack.slice(),
+      delayTimer: chip8.delayTimer,
+      soundTimer: chip8.soundTimer,
+      clockTicks: chip8.clockTicks,
+      frameCount: chip8.frameCount,
+      planes: chip8.planes,
+      pitch: chip8.pitch,
+      halted: chip8.halted,
+      fault: chip8.fault,
+      waitingForKeyPress: chip8.waitingForKeyPress,
+      keyRegister: chip8.keyRegister,
+      lastInstruction: chip8.lastInstruction
+    };
+  }
+
+  /**
+   * Store the entry of the instruction that just finished
+   */
+  commit() {
+    this.chip8.journal = null;
+    if (!this.current) return;
+
+    this.push(this.current);
+    this.current = null;
+  }
+
+  push(entry) {
+    if (this.length < this.capacity) {
+      this.entries[(this.start + this.length) % this.capacity] = entry;
+      this.length++;
+    } else {
+      // Full: overwrite the oldest entry
+      this.entries[this.start] = entry;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Undo the most recent instruction. Returns its entry, or null when there is nothing left to undo.
+   */
+  stepBack() {
+    if (this.length === 0) return null;
+
+    this.length--;
+    const index = (this.start + this.length) % this.capacity;
+    const entry = this.entries[index];
+    this.entries[index] = undefined;
+
+    const after = this.copyAfter(entry);
+    this.restore(entry);
+    this.undone.push({ entry, after });
+    return entry;
+  }
+
+  /**
+   * Redo the most recently undone instruction. Returns its entry, or null when there is nothing to redo.
+   */
+  stepForward() {
+    if (this.undone.length === 0) return null;
+
+    const { entry, after } = this.undone.pop();
+    const chip8 = this.chip8;
+
+    for (let m = 0; m < after.memory.length; m += 2) {
+      chip8.memory[after.memory[m]] = after.memory[m + 1];
+    }
+    if (after.display) {
+      chip8.hires = after.display.hires;
+      chip8.display = after.display.rows;
+      chip8.displayWidth = chip8.display[0].length;
+      chip8.displayHeight = chip8.display.length;
+    } else {
+      for (let p = 0; p < entry.journal.pixels.length; p += 3) {
+        chip8.display[entry.journal.pixels[p + 1]][entry.journal.pixels[p]] ^= entry.journal.pixels[p + 2];
+      }
+    }
+
+    Object.assign(chip8, after.state);
+    if (after.rplFlags) chip8.rplFlags = after.rplFlags;
+    if (after.audioPattern) chip8.audioPattern = after.audioPattern;
+    chip8.drawFlag = true;
+
+    this.push(entry);
+    return entry;
+  }
+
+  /**
+   * Redo the last count undone instructions. Returns how many were redone.
+   */
+  forward(count) {
+    let redone = 0;
+    while (redone < count && this.stepForward()) {
+      redone++;
+    }
+    return redone;
+  }
+
+  // What undoing an entry takes away: the state after its instruction ran
+  copyAfter(entry) {
+    const chip8 = this.chip8;
+    const journal = entry.journal;
+
+    const memory = [];
+    for (let m = 0; m < journal.memory.length; m += 2) {
+      memory.push(journal.memory[m], chip8.memory[journal.memory[m]]);
+    }
+
+    return {
+      state: this.copyState(),
+      memory,
+      display: journal.display ? { hires: chip8.hires, rows: chip8.display.map(row => row.slice()) } : null,
+      rplFlags: entry.rplFlags ? chip8.rplFlags.slice() : null,
+      audioPattern: entry.audioPattern ? chip8.audioPattern.slice() : null
+    };
+  }
+
+  /**
+   * Undo the last count instructions. Returns how many were undone.
+   */
+  rewind(count) {
+    let undone = 0;
+    while (undone < count && this.stepBack()) {
+      undone++;
+    }
+    return undone;
+  }
+
+  /**
+   * Put back the state captured before an instruction
+   */
+  restore(entry) {
+    const chip8 = this.chip8;
+    const journal = entry.journal;
+
+    // Display: undo pixel toggles (XOR is its own inverse), then any full-screen change
+    for (let p = journal.pixels.length - 3; p >= 0; p -= 3) {
+      chip8.display[journal.pixels[p + 1]][journal.pixels[p]] ^= journal.pixels[p + 2];
+    }
+    if (journal.display) {
+      chip8.hires = journal.display.hires;
+      chip8.display = journal.display.rows;
+      chip8.displayWidth = chip8.display[0].length;
+      chip8.displayHeight = chip8.display.length;
+    }
+
+    // Memory: undo writes newest first so repeated writes end at the oldest value
+    for (let m = journal.memory.length - 2; m >= 0; m -= 2) {
+      chip8.memory[journal.memory[m]] = journal.memory[m + 1];
+    }
+
+    chip8.pc = entry.pc;
+    chip8.romSize = entry.romSize;
+    chip8.i = entry.i;
+    chip8.sp = entry.sp;
+    chip8.v = entry.v;
+    chip8.stack = entry.stack;
+    chip8.delayTimer = entry.delayTimer;
+    chip8.soundTimer = entry.soundTimer;
+    chip8.clockTicks = entry.clockTicks;
+    chip8.frameCount = entry.frameCount;
+    chip8.planes = entry.planes;
+    chip8.pitch = entry.pitch;
+    chip8.halted = entry.halted;
+    chip8.fault = entry.fault;
+    chip8.waitingForKeyPress = entry.waitingForKeyPress;
+    chip8.keyRegister = entry.keyRegister;
+    chip8.lastInstruction = entry.lastInstruction;
+    if (entry.rplFlags) chip8.rplFlags = entry.rplFlags;
+    if (entry.audioPattern) chip8.audioPattern = entry.audioPattern;
+
+    chip8.drawFlag = true;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ExecutionHistory };
+}
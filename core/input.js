@@ -0,0 +1,172 @@
+/**
+ * KeyBindings - Which keyboard keys and gamepad inputs press which CHIP-8 keys
+ *
+ * Keyboard keys are named by their KeyboardEvent.key in lower case ('q',
+ * '&', 'enter'), so a preset follows the characters printed on a layout.
+ * Gamepad inputs are named 'button:N' for a button and 'axis:N+' or 'axis:N-'
+ * for a stick pushed along an axis, numbered as in the standard gamepad
+ * mapping. Binding an input to a CHIP-8 key replaces the key's other inputs
+ * of the same kind, but the gamepad defaults put both the D-pad and the left
+ * stick on the direction keys.
+ */
+// The CHIP-8 hex keypad, row by row
+const CHIP8_KEY_LAYOUT = [
+  [0x1, 0x2, 0x3, 0xC],
+  [0x4, 0x5, 0x6, 0xD],
+  [0x7, 0x8, 0x9, 0xE],
+  [0xA, 0x0, 0xB, 0xF]
+];
+
+const KEY_PRESETS = {
+  // 1 2 3 4 / Q W E R / A S D F / Z X C V
+  qwerty: {
+    name: 'QWERTY',
+    keys: {
+      '1': 0x1, '2': 0x2, '3': 0x3, '4': 0xC,
+      'q': 0x4, 'w': 0x5, 'e': 0x6, 'r': 0xD,
+      'a': 0x7, 's': 0x8, 'd': 0x9, 'f': 0xE,
+      'z': 0xA, 'x': 0x0, 'c': 0xB, 'v': 0xF
+    }
+  },
+  // The same keys on a French layout: & é " ' / A Z E R / Q S D F / W X C V
+  azerty: {
+    name: 'AZERTY',
+    keys: {
+      '&': 0x1, 'é': 0x2, '"': 0x3, "'": 0xC,
+      'a': 0x4, 'z': 0x5, 'e': 0x6, 'r': 0xD,
+      'q': 0x7, 's': 0x8, 'd': 0x9, 'f': 0xE,
+      'w': 0xA, 'x': 0x0, 'c': 0xB, 'v': 0xF
+    }
+  },
+  // Digits on their own number, A-F on the keys around them
+  numpad: {
+    name: 'Numpad',
+    keys: {
+      '0': 0x0, '1': 0x1, '2': 0x2, '3': 0x3, '4': 0x4, '5': 0x5, '6': 0x6, '7': 0x7, '8': 0x8, '9': 0x9,
+      '/': 0xA, '*': 0xB, '-': 0xC, '+': 0xD, 'enter': 0xE, '.': 0xF
+    }
+  }
+};
+
+// D-pad and left stick on 5/7/8/9 (W/A/S/D on QWERTY), face buttons on the keys around them
+const GAMEPAD_DEFAULTS = {
+  'button:12': 0x5, 'button:13': 0x8, 'button:14': 0x7, 'button:15': 0x9,
+  'axis:1-': 0x5, 'axis:1+': 0x8, 'axis:0-': 0x7, 'axis:0+': 0x9,
+  'button:0': 0x6, 'button:1': 0x4, 'button:2': 0xE, 'button:3': 0xD,
+  'button:9': 0x1, 'button:8': 0x2
+};
+
+const GAMEPAD_DEADZONE = 0.5;   // How far a stick must be pushed to count
+
+class KeyBindings {
+  constructor() {
+    this.keys = new Map();      // Key name -> CHIP-8 key
+    this.gamepad = new Map();   // Gamepad input name -> CHIP-8 key
+    this.usePreset('qwerty');
+  }
+
+  /**
+   * Replace the keyboard bindings with a preset's, and the gamepad bindings with the defaults
+   */
+  usePreset(name) {
+    const preset = KEY_PRESETS[name];
+    if (!preset) {
+      throw new Error(`Unknown key preset "${name}"`);
+    }
+    this.keys = new Map(Object.entries(preset.keys));
+    this.gamepad = new Map(Object.entries(GAMEPAD_DEFAULTS));
+  }
+
+  /**
+   * The binding name of a keyboard event's key
+   */
+  static keyName(event) {
+    return event.key === ' ' ? 'space' : event.key.toLowerCase();
+  }
+
+  // Bind an input to a CHIP-8 key, replacing the input's old binding and the key's other inputs
+  static bind(bindings, input, key) {
+    bindings.forEach((bound, name) => {
+      if (bound === key) bindings.delete(name);
+    });
+    bindings.set(input, key);
+  }
+
+  bindKey(name, key) {
+    KeyBindings.bind(this.keys, name, key);
+  }
+
+  bindGamepad(input, key) {
+    KeyBindings.bind(this.gamepad, input, key);
+  }
+
+  /**
+   * Remove a CHIP-8 key's keyboard and gamepad bindings
+   */
+  unbind(key) {
+    [this.keys, this.gamepad].forEach(bindings => {
+      bindings.forEach((bound, name) => {
+        if (bound === key) bindings.delete(name);
+      });
+    });
+  }
+
+  /**
+   * The CHIP-8 key a keyboard key presses, or undefined
+   */
+  lookupKey(name) {
+    return this.keys.get(name);
+  }
+
+  /**
+   * The names of the keyboard keys and gamepad inputs bound to a CHIP-8 key, as { keys, gamepad }
+   */
+  bindingsOf(key) {
+    const find = (bindings) => [...bindings].filter(([, bound]) => bound === key).map(([name]) => name);
+    return { keys: find(this.keys), gamepad: find(this.gamepad) };
+  }
+
+  /**
+   * The names of the inputs a gamepad has pressed or pushed right now
+   */
+  static gamepadInputs(gamepad, deadzone = GAMEPAD_DEADZONE) {
+    const inputs = [];
+    gamepad.buttons.forEach((button, index) => {
+      if (button.pressed) inputs.push(`button:${index}`);
+    });
+    gamepad.axes.forEach((value, index) => {
+      if (value >= deadzone) inputs.push(`axis:${index}+`);
+      if (value <= -deadzone) inputs.push(`axis:${index}-`);
+    });
+    return inputs;
+  }
+
+  /**
+   * A key or gamepad input name as shown to the user
+   */
+  static describe(name) {
+    const gamepad = name.match(/^(button|axis):(\d+)([+-]?)$/);
+    if (gamepad) {
+      return gamepad[1] === 'button' ? `Button ${gamepad[2]}` : `Axis ${gamepad[2]}${gamepad[3]}`;
+    }
+    return name.length === 1 ? name.toUpperCase() : name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  toJSON() {
+    return { keys: Object.fromEntries(this.keys), gamepad: Object.fromEntries(this.gamepad) };
+  }
+
+  /**
+   * Replace the bindings with ones stored by toJSON(), skipping any that are invalid
+   */
+  fromJSON(data) {
+    const valid = (entries) => new Map(Object.entries(entries || {})
+      .filter(([name, key]) => name !== '' && Number.isInteger(key) && key >= 0 && key <= 0xF));
+    this.keys = valid(data && data.keys);
+    this.gamepad = valid(data && data.gamepad);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { KeyBindings, KEY_PRESETS, CHIP8_KEY_LAYOUT };
+}
@@ -0,0 +1,188 @@
+/**
+ * Profiler - Where the instructions go
+ *
+ * While started, the profiler counts executions per address and instructions
+ * per 60Hz frame. Time is attributed to subroutines by pairing each CALL
+ * (2NNN) with its RET (00EE): an instruction counts as exclusive time of the
+ * subroutine running it, and as inclusive time of every subroutine on the
+ * call stack (a recursive subroutine is only counted once). Work outside any
+ * subroutine belongs to the top level.
+ *
+ * Delay timer busy-waits are found by their polls: the same LD Vx, DT read
+ * again within a few instructions while the timer was still running. The
+ * instructions between such polls are counted as time spent waiting.
+ */
+const PROFILER_TOP_LEVEL = -1;        // Subroutine key for code outside any subroutine
+const PROFILER_MAX_POLL_GAP = 8;      // Most instructions between two polls of one busy-wait loop
+const PROFILER_FRAME_HISTORY = 3600;  // Frames kept for the per-frame statistics (a minute at 60Hz)
+
+class Profiler {
+  constructor(chip8) {
+    this.chip8 = chip8;
+    this.profiling = false;
+
+    this.beforeInstruction = (event) => this.count(event);
+    this.frame = () => this.endFrame();
+
+    this.reset();
+  }
+
+  /**
+   * Start (or resume) profiling
+   */
+  start() {
+    if (this.profiling) return;
+    this.profiling = true;
+    this.chip8.on('beforeInstruction', this.beforeInstruction);
+    this.chip8.on('frame', this.frame);
+  }
+
+  /**
+   * Pause profiling, keeping what was counted so far
+   */
+  pause() {
+    if (!this.profiling) return;
+    this.profiling = false;
+    this.chip8.off('beforeInstruction', this.beforeInstruction);
+    this.chip8.off('frame', this.frame);
+  }
+
+  /**
+   * Forget everything counted so far
+   */
+  reset() {
+    this.total = 0;                   // Instructions counted
+    this.counts = new Map();          // Address -> executions
+    this.subroutines = new Map();     // Subroutine address -> { address, calls, inclusive, exclusive }
+    this.callStack = [];              // Open calls: { address, start }
+    this.busyWaits = new Map();       // Address of the LD Vx, DT poll -> { address, polls, instructions }
+    this.lastPoll = null;             // { address, at, value } of the last LD Vx, DT
+    this.frames = [];                 // Instructions in each recent complete frame
+    this.frameInstructions = 0;       // Instructions in the current frame so far
+    this.subroutine(PROFILER_TOP_LEVEL);
+  }
+
+  subroutine(address) {
+    let stats = this.subroutines.get(address);
+    if (!stats) {
+      stats = { address, calls: 0, inclusive: 0, exclusive: 0 };
+      this.subroutines.set(address, stats);
+    }
+    return stats;
+  }
+
+  count({ pc, opcode }) {
+    this.total++;
+    this.frameInstructions++;
+    this.counts.set(pc, (this.counts.get(pc) || 0) + 1);
+
+    // Frames left without a RET (a rewind, a loaded state) are dropped
+    while (this.callStack.length > this.chip8.sp) {
+      this.closeCall(this.callStack.pop());
+    }
+
+    const current = this.callStack.length ? this.callStack[this.callStack.length - 1].address : PROFILER_TOP_LEVEL;
+    this.subroutine(current).exclusive++;
+
+    if ((opcode & 0xF000) === 0x2000) {
+      const address = opcode & 0x0FFF;
+      this.subroutine(address).calls++;
+      this.callStack.push({ address, start: this.total });
+    } else if (opcode === 0x00EE && this.callStack.length) {
+      this.closeCall(this.callStack.pop());
+    } else if ((opcode & 0xF0FF) === 0xF007) {
+      this.poll(pc);
+    }
+  }
+
+  // Add a finished call to its subroutine's inclusive time, unless the
+  // subroutine is still running further down the stack
+  closeCall(call) {
+    if (!this.callStack.some(open => open.address === call.address)) {
+      this.subroutine(call.address).inclusive += this.total - call.start;
+    }
+  }
+
+  poll(pc) {
+    const last = this.lastPoll;
+    if (last && last.address === pc && last.value > 0 && this.total - last.at <= PROFILER_MAX_POLL_GAP) {
+      let loop = this.busyWaits.get(pc);
+      if (!loop) {
+        loop = { address: pc, polls: 0, instructions: 0 };
+        this.busyWaits.set(pc, loop);
+      }
+      loop.polls++;
+      loop.instructions += this.total - last.at;
+    }
+    this.lastPoll = { address: pc, at: this.total, value: this.chip8.delayTimer };
+  }
+
+  endFrame() {
+    this.frames.push(this.frameInstructions);
+    if (this.frames.length > PROFILER_FRAME_HISTORY) {
+      this.frames.shift();
+    }
+    this.frameInstructions = 0;
+  }
+
+  /**
+   * The profile so far: { total, frames, addresses, subroutines, busyWaits }.
+   * Lists are sorted by their main count; subroutine times include the calls
+   * still running.
+   */
+  report() {
+    const total = this.total;
+    const percent = (value) => (total ? (value / total) * 100 : 0);
+
+    const inclusive = new Map();
+    const running = new Set();
+    this.callStack.forEach(call => {
+      if (!running.has(call.address)) {
+        running.add(call.address);
+        inclusive.set(call.address, total - call.start);
+      }
+    });
+
+    const subroutines = [...this.subroutines.values()].map(stats => {
+      const time = stats.address === PROFILER_TOP_LEVEL ? total : stats.inclusive + (inclusive.get(stats.address) || 0);
+      return { ...stats, inclusive: time, inclusivePercent: percent(time), exclusivePercent: percent(stats.exclusive) };
+    }).filter(stats => stats.address !== PROFILER_TOP_LEVEL || stats.exclusive > 0);
+
+    const frames = this.frames;
+    return {
+      total,
+      frames: {
+        count: frames.length,
+        average: frames.length ? frames.reduce((sum, count) => sum + count, 0) / frames.length : 0,
+        min: frames.length ? Math.min(...frames) : 0,
+        max: frames.length ? Math.max(...frames) : 0,
+        current: this.frameInstructions
+      },
+      addresses: [...this.counts].map(([address, count]) => ({ address, count, percent: percent(count) }))
+        .sort((a, b) => b.count - a.count),
+      subroutines: subroutines.sort((a, b) => b.inclusive - a.inclusive),
+      busyWaits: [...this.busyWaits.values()].map(loop => ({ ...loop, percent: percent(loop.instructions) }))
+        .sort((a, b) => b.instructions - a.instructions)
+    };
+  }
+
+  /**
+   * The profile as JSON, with addresses in hex
+   */
+  exportJSON() {
+    const report = this.report();
+    const hex = (address) => (address === PROFILER_TOP_LEVEL ? 'top level' : `0x${address.toString(16).padStart(4, '0')}`);
+    const withHex = (rows) => rows.map(row => ({ ...row, address: hex(row.address) }));
+
+    return JSON.stringify({
+      ...report,
+      addresses: withHex(report.addresses),
+      subroutines: withHex(report.subroutines),
+      busyWaits: withHex(report.busyWaits)
+    }, null, 2);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Profiler, PROFILER_TOP_LEVEL };
+}
@@ -0,0 +1,142 @@
+/**
+ * Scheduler - Runs the emulator in real time
+ *
+ * Each animation frame the scheduler works out how many instructions fit in
+ * the time that has passed, at the emulator's instructions-per-second rate,
+ * and executes them with chip8.step(). The timers are driven by the
+ * emulator's own virtual clock, so they tick at 60Hz of emulated time no
+ * matter how often the browser draws. The measured instruction and frame
+ * rates are updated about once a second.
+ */
+class Scheduler {
+  constructor(chip8) {
+    this.chip8 = chip8;
+    this.running = false;
+    this.frameId = null;
+    this.lastTime = null;        // Timestamp of the previous animation frame
+    this.budget = 0;             // Instructions owed, carried over between animation frames
+    this.maxElapsed = 100;       // Longest gap (ms) caught up at once, e.g. after a background tab
+
+    // Callbacks set by the owner
+    this.shouldBreak = null;     // Called after each instruction; return true to stop
+    this.onFrame = null;         // Called after each animation frame's batch of instructions
+    this.onStop = null;          // Called when the scheduler stops by itself
+
+    // Measured rates
+    this.measuredIPS = 0;
+    this.measuredFPS = 0;
+    this.sampleStart = 0;
+    this.sampleInstructions = 0;
+    this.sampleFrames = 0;
+
+    this.tick = (now) => this.runFrame(now);
+  }
+
+  /**
+   * Start running in real time
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.lastTime = null;
+    this.budget = 0;
+    this.sampleStart = Scheduler.now();
+    this.sampleInstructions = 0;
+    this.sampleFrames = 0;
+    this.requestFrame();
+  }
+
+  /**
+   * Stop running (the measured rates are kept)
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    Scheduler.cancelFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  requestFrame() {
+    this.frameId = Scheduler.requestFrame(this.tick);
+  }
+
+  runFrame(now) {
+    if (!this.running) return;
+    const chip8 = this.chip8;
+
+    const elapsed = this.lastTime === null ? 0 : Math.min(now - this.lastTime, this.maxElapsed);
+    this.lastTime = now;
+    this.budget += elapsed * chip8.instructionsPerSecond / 1000;
+
+    // Execute the instructions that fit in the elapsed time
+    chip8.breakRequested = false;
+    let stopped = false;
+    while (this.budget >= 1) {
+      if (chip8.paused || chip8.halted || chip8.breakRequested) {
+        stopped = true;
+        break;
+      }
+      chip8.step();
+      this.budget--;
+      this.sampleInstructions++;
+
+      if (this.shouldBreak && this.shouldBreak()) {
+        stopped = true;
+        break;
+      }
+    }
+    stopped = stopped || chip8.halted || chip8.breakRequested;
+
+    this.sampleFrames++;
+    this.measure(now);
+
+    if (this.onFrame) {
+      this.onFrame();
+    }
+
+    if (stopped) {
+      this.stop();
+      if (this.onStop) {
+        this.onStop();
+      }
+    } else if (this.running) {
+      this.requestFrame();
+    }
+  }
+
+  // Update the measured rates once a second
+  measure(now) {
+    const elapsed = now - this.sampleStart;
+    if (elapsed < 1000) return;
+
+    this.measuredIPS = Math.round(this.sampleInstructions * 1000 / elapsed);
+    this.measuredFPS = Math.round(this.sampleFrames * 1000 / elapsed);
+    this.sampleStart = now;
+    this.sampleInstructions = 0;
+    this.sampleFrames = 0;
+  }
+
+  static now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  // requestAnimationFrame where there is one (browsers), a ~60Hz timer otherwise (Node)
+  static requestFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+      return requestAnimationFrame(callback);
+    }
+    return setTimeout(() => callback(Scheduler.now()), 1000 / 60);
+  }
+
+  static cancelFrame(id) {
+    if (typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(id);
+    } else {
+      clearTimeout(id);
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Scheduler };
+}
@@ -0,0 +1,233 @@
+/**
+ * SymbolTable - Names for addresses, from symbol files or given by hand
+ *
+ * A symbol file holds one symbol per line, either "address name" (the address
+ * in hex, with or without a 0x or $ prefix) or an Octo-style exported label,
+ * ":const name address" or "name = address". Blank lines and # or ; comments
+ * are skipped. An exported JSON object of names to addresses, optionally
+ * wrapped as { "labels": { ... } }, is accepted as well. Octo numbers are
+ * decimal unless prefixed with 0x or 0b, so the Octo forms and JSON string
+ * addresses are read that way.
+ *
+ * Names follow the assembler's label rules, so a disassembly using them can
+ * be reassembled: letters, digits, _ and ., not starting with a digit, and
+ * neither a register nor something that reads as a hex number.
+ */
+const SYMBOL_NAME = /^[A-Z_.][\w.]*$/i;
+const SYMBOL_RESERVED = /^(V[0-9A-F]|I|DT|ST|K|F|HF|B|R|LONG)$/i;
+const SYMBOL_MAX_ADDRESS = 0xFFFF;
+
+class SymbolTable {
+  constructor() {
+    this.names = new Map();   // Address -> name
+  }
+
+  /**
+   * A hash of ROM bytes (32-bit FNV-1a, as 8 hex digits) to keep symbols per ROM
+   */
+  static hash(bytes) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < bytes.length; i++) {
+      hash ^= bytes[i];
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Throws if the name can't be used as a symbol
+   */
+  static checkName(name) {
+    if (!SYMBOL_NAME.test(name)) {
+      throw new Error(`Invalid symbol name "${name}"`);
+    }
+    if (/^(0x)?[0-9A-F]+$/i.test(name) || SYMBOL_RESERVED.test(name)) {
+      throw new Error(`"${name}" reads as a number or register`);
+    }
+  }
+
+  // A hex address, with or without a 0x or $ prefix
+  static parseAddress(text) {
+    if (!/^(0x|\$)?[0-9A-F]+$/i.test(text)) return null;
+    const address = parseInt(text.replace(/^(0x|\$)/i, ''), 16);
+    return address <= SYMBOL_MAX_ADDRESS ? address : null;
+  }
+
+  // An address written as an Octo number: decimal, 0x hex or 0b binary
+  static parseOctoAddress(text) {
+    let address;
+    if (/^0x[0-9A-F]+$/i.test(text)) {
+      address = parseInt(text.slice(2), 16);
+    } else if (/^0b[01]+$/i.test(text)) {
+      address = parseInt(text.slice(2), 2);
+    } else if (/^\d+$/.test(text)) {
+      address = parseInt(text, 10);
+    } else {
+      return null;
+    }
+    return address <= SYMBOL_MAX_ADDRESS ? address : null;
+  }
+
+  /**
+   * Parse symbol file text into { symbols: [{ line, address, name }], errors: [{ line, message }] }
+   */
+  static parse(text) {
+    const symbols = [];
+    const errors = [];
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+      try {
+        const data = JSON.parse(trimmed);
+        const labels = data.labels && typeof data.labels === 'object' ? data.labels : data;
+        Object.entries(labels).forEach(([name, address]) => {
+          const value = typeof address === 'number' ? address : SymbolTable.parseOctoAddress(String(address));
+          if (!Number.isInteger(value) || value < 0 || value > SYMBOL_MAX_ADDRESS) {
+            errors.push({ line: 0, message: `Invalid address for "${name}"` });
+          } else {
+            symbols.push({ line: 0, address: value, name });
+          }
+        });
+      } catch (error) {
+        errors.push({ line: 0, message: `Invalid JSON: ${error.message}` });
+      }
+      return { symbols, errors };
+    }
+
+    text.split(/\r?\n/).forEach((source, index) => {
+      const line = index + 1;
+      const code = source.replace(/[#;].*$/, '').trim();
+      if (code === '') return;
+
+      let match;
+      let addressText;
+      let name;
+      let octo = true;
+      if ((match = code.match(/^:const\s+(\S+)\s+(\S+)$/i))) {
+        [, name, addressText] = match;
+      } else if ((match = code.match(/^(\S+)\s*=\s*(\S+)$/))) {
+        [, name, addressText] = match;
+      } else if ((match = code.match(/^(\S+)\s+(\S+)$/))) {
+        [, addressText, name] = match;
+        octo = false;
+      } else {
+        errors.push({ line, message: 'Expected "address name"' });
+        return;
+      }
+
+      const address = octo ? SymbolTable.parseOctoAddress(addressText) : SymbolTable.parseAddress(addressText);
+      if (address === null) {
+        errors.push({ line, message: `Invalid address "${addressText}"` });
+        return;
+      }
+      symbols.push({ line, address, name });
+    });
+
+    return { symbols, errors };
+  }
+
+  /**
+   * Name an address; an empty name removes its symbol. Throws if the name is
+   * invalid or already names another address.
+   */
+  set(address, name) {
+    if (!Number.isInteger(address) || address < 0 || address > SYMBOL_MAX_ADDRESS) {
+      throw new Error('Invalid address');
+    }
+    name = name.trim();
+    if (name === '') {
+      this.names.delete(address);
+      return;
+    }
+
+    SymbolTable.checkName(name);
+    const existing = this.addressOf(name);
+    if (existing !== null && existing !== address) {
+      throw new Error(`"${name}" already names 0x${existing.toString(16).padStart(4, '0')}`);
+    }
+    this.names.set(address, name);
+  }
+
+  remove(address) {
+    return this.names.delete(address);
+  }
+
+  get(address) {
+    return this.names.get(address) || null;
+  }
+
+  addressOf(name) {
+    for (const [address, symbol] of this.names) {
+      if (symbol === name) return address;
+    }
+    return null;
+  }
+
+  /**
+   * All symbols, by address
+   */
+  list() {
+    return [...this.names].map(([address, name]) => ({ address, name })).sort((a, b) => a.address - b.address);
+  }
+
+  clear() {
+    this.names.clear();
+  }
+
+  get size() {
+    return this.names.size;
+  }
+
+  /**
+   * Add the symbols of a symbol file. Returns { added, errors }, skipping (and
+   * reporting) lines that can't be used.
+   */
+  load(text) {
+    const { symbols, errors } = SymbolTable.parse(text);
+    let added = 0;
+    symbols.forEach(({ line, address, name }) => {
+      try {
+        this.set(address, name);
+        added++;
+      } catch (error) {
+        errors.push({ line, message: error.message });
+      }
+    });
+    errors.sort((a, b) => a.line - b.line);
+    return { added, errors };
+  }
+
+  /**
+   * The symbols as a symbol file, one "address name" line each
+   */
+  exportText() {
+    return this.list().map(({ address, name }) => `0x${address.toString(16).padStart(4, '0')} ${name}`).join('\n') + '\n';
+  }
+
+  /**
+   * A plain object of hex addresses to names, for storage
+   */
+  toJSON() {
+    const data = {};
+    this.names.forEach((name, address) => { data[address.toString(16)] = name; });
+    return data;
+  }
+
+  /**
+   * Replace the symbols with ones stored by toJSON(), skipping any that are invalid
+   */
+  fromJSON(data) {
+    this.clear();
+    Object.entries(data || {}).forEach(([address, name]) => {
+      try {
+        this.set(parseInt(address, 16), name);
+      } catch (error) {
+        // Ignore entries that no longer pass validation
+      }
+    });
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SymbolTable };
+}
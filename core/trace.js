@@ -0,0 +1,237 @@
+/**
+ * TraceRecorder - An optional per-instruction execution log
+ *
+ * Each entry keeps the PC, opcode, disassembly and the registers the
+ * instruction changed. Traces can be exported as text or CSV, and compared
+ * against a reference trace from another emulator.
+ */
+class TraceRecorder {
+  constructor(chip8, capacity = 50000) {
+    this.chip8 = chip8;
+    this.capacity = capacity;
+    this.entries = [];
+    this.count = 0;          // Instructions recorded since the last clear (stable entry indices)
+    this.recording = false;
+    this.before = null;      // Registers captured before the running instruction
+
+    this.beforeInstruction = (event) => this.capture(event);
+    this.afterInstruction = () => this.record();
+  }
+
+  /**
+   * Start recording instructions
+   */
+  start() {
+    if (this.recording) return;
+    this.recording = true;
+    this.chip8.on('beforeInstruction', this.beforeInstruction);
+    this.chip8.on('afterInstruction', this.afterInstruction);
+  }
+
+  /**
+   * Stop recording instructions (the recorded entries are kept)
+   */
+  stop() {
+    if (!this.recording) return;
+    this.recording = false;
+    this.chip8.off('beforeInstruction', this.beforeInstruction);
+    this.chip8.off('afterInstruction', this.afterInstruction);
+  }
+
+  /**
+   * Forget every recorded entry
+   */
+  clear() {
+    this.entries = [];
+    this.count = 0;
+  }
+
+  capture({ pc, opcode }) {
+    const memory = this.chip8.memory;
+    this.before = {
+      pc,
+      opcode,
+      nextWord: (memory[pc + 2] << 8) | memory[pc + 3],
+      v: this.chip8.v.slice(),
+      i: this.chip8.i
+    };
+  }
+
+  record() {
+    const before = this.before;
+    if (!before) return;
+    this.before = null;
+
+    // Collect the registers the instruction changed (VF included)
+    const changes = [];
+    for (let reg = 0; reg < before.v.length; reg++) {
+      if (before.v[reg] !== this.chip8.v[reg]) {
+        changes.push({ name: `V${reg.toString(16).toUpperCase()}`, before: before.v[reg], after: this.chip8.v[reg] });
+      }
+    }
+    if (before.i !== this.chip8.i) {
+      changes.push({ name: 'I', before: before.i, after: this.chip8.i });
+    }
+
+    const isLong = this.chip8.getInstructionLength(before.opcode) === 4;
+    this.entries.push({
+      index: this.count++,
+      pc: before.pc,
+      opcode: before.opcode,
+      nextWord: isLong ? before.nextWord : null,
+      disassembly: this.chip8.disassembleInstruction(before.opcode, before.nextWord),
+      changes,
+      v: this.chip8.v.slice(),
+      i: this.chip8.i
+    });
+
+    // Drop the oldest entries in chunks so trimming stays cheap
+    if (this.entries.length > this.capacity * 1.1) {
+      this.entries.splice(0, this.entries.length - this.capacity);
+    }
+  }
+
+  /**
+   * One line of text describing an entry
+   */
+  formatEntry(entry) {
+    const opcode = entry.opcode.toString(16).padStart(4, '0') +
+      (entry.nextWord !== null ? entry.nextWord.toString(16).padStart(4, '0') : '');
+    const changes = entry.changes.map(change => {
+      const width = change.name === 'I' ? 4 : 2;
+      return `${change.name}: ${change.before.toString(16).padStart(width, '0')}->${change.after.toString(16).padStart(width, '0')}`;
+    }).join(' ');
+
+    return `${entry.index}\t0x${entry.pc.toString(16).padStart(4, '0')}\t${opcode}\t${entry.disassembly}\t${changes}`;
+  }
+
+  /**
+   * The trace as plain text, one instruction per line
+   */
+  exportText() {
+    return this.entries.map(entry => this.formatEntry(entry)).join('\n') + '\n';
+  }
+
+  /**
+   * The trace as CSV, with the full register state after each instruction
+   */
+  exportCSV() {
+    const registerNames = this.chip8.v.map((_, reg) => `V${reg.toString(16).toUpperCase()}`);
+    const header = ['index', 'pc', 'opcode', 'instruction', 'changes', ...registerNames, 'I'];
+    const quote = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+    const rows = this.entries.map(entry => {
+      const fields = this.formatEntry(entry).split('\t');
+      const registers = entry.v.map(value => value.toString(16).padStart(2, '0'));
+      return [...fields, ...registers, entry.i.toString(16).padStart(4, '0')].map(quote).join(',');
+    });
+
+    return [header.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Parse a reference trace. Accepts this recorder's own text and CSV exports,
+   * and generic logs whose lines start with the PC and opcode in hex, optionally
+   * followed by register values such as "V3=10" or "I:0300".
+   */
+  static parseReference(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const reference = [];
+
+    // CSV exported by exportCSV()
+    if (lines.length && lines[0].startsWith('index,pc,opcode')) {
+      const header = lines[0].split(',');
+      lines.slice(1).forEach(line => {
+        const fields = TraceRecorder.splitCSV(line);
+        const registers = {};
+        header.forEach((name, column) => {
+          if (/^(V[0-9A-F]|I)$/.test(name)) registers[name] = parseInt(fields[column], 16);
+        });
+        reference.push({ pc: parseInt(fields[1], 16), opcode: parseInt(fields[2].slice(0, 4), 16), registers });
+      });
+      return reference;
+    }
+
+    lines.forEach((line, lineIndex) => {
+      // Our own text export starts with the entry index, so skip it
+      const body = /^\d+\t0x/.test(line) ? line.slice(line.indexOf('\t') + 1) : line;
+      const words = body.match(/\b(?:0x)?[0-9a-f]{3,4}\b/gi);
+      if (!words || words.length < 2) {
+        throw new Error(`Line ${lineIndex + 1}: expected a PC and an opcode`);
+      }
+
+      // Register values given as NAME=hex or NAME:hex (for our own format, the value after "->")
+      const registers = {};
+      const registerPattern = /\b(V[0-9A-F]|I)\s*[:=]\s*(?:[0-9a-f]+->)?(?:0x)?([0-9a-f]+)/gi;
+      let match;
+      while ((match = registerPattern.exec(body)) !== null) {
+        registers[match[1].toUpperCase()] = parseInt(match[2], 16);
+      }
+
+      reference.push({ pc: parseInt(words[0], 16), opcode: parseInt(words[1], 16), registers });
+    });
+
+    return reference;
+  }
+
+  static splitCSV(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let c = 0; c < line.length; c++) {
+      const char = line[c];
+      if (quoted) {
+        if (char === '"' && line[c + 1] === '"') {
+          field += '"';
+          c++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    fields.push(field);
+    return fields;
+  }
+
+  /**
+   * Compare the recorded trace with a parsed reference trace, entry by entry
+   * from the start. Returns the first divergence, or null if none was found.
+   */
+  findDivergence(reference) {
+    for (const entry of this.entries) {
+      const expected = reference[entry.index];
+      if (!expected) break;
+
+      if (expected.pc !== entry.pc) {
+        return { entry, expected, reason: `PC is 0x${entry.pc.toString(16)}, reference has 0x${expected.pc.toString(16)}` };
+      }
+      if (expected.opcode !== entry.opcode) {
+        return { entry, expected, reason: `Opcode is ${entry.opcode.toString(16)}, reference has ${expected.opcode.toString(16)}` };
+      }
+
+      for (const [name, value] of Object.entries(expected.registers)) {
+        const actual = name === 'I' ? entry.i : entry.v[parseInt(name.slice(1), 16)];
+        if (actual !== value) {
+          return { entry, expected, reason: `${name} is ${actual.toString(16)}, reference has ${value.toString(16)}` };
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TraceRecorder };
+}
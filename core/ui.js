@@ -13,10 +13,64 @@ class Chip8Debugger {
       this.chip8 = chip8;
       this.lastPC = null;
       this.lastInstruction = null;
-      this.breakpoints = new Set();
+      this.breakpoints = new BreakpointManager(chip8); // Checked after every instruction
+      this.watchpoints = new WatchpointManager(chip8); // Memory access and register watches
+      this.disassembler = new Disassembler(chip8);
+      this.disassembly = null;                    // Listing of the loaded ROM
+      this.disassemblyEntryPoints = new Set();    // Code found at run time, e.g. computed jump targets
+      this.disassemblyRows = new Map();           // Address -> listing row element
+      this.disassemblyPCRow = null;
+      this.symbols = new SymbolTable();           // Names for addresses, kept per ROM
+      this.romHash = null;                        // Hash of the loaded ROM, keying its symbols
+      this.chip8.symbols = this.symbols.names;
+      this.addressNames = new Map();              // Address -> symbol or disassembly label, symbols first
+      this.namedAddresses = [];                   // Addresses of addressNames, ascending
       this.running = false;
-      this.runIntervalId = null;
-      this.displayScale = 10; // Scale factor for display pixels
+      this.scheduler = new Scheduler(chip8);      // Real-time run loop
+      this.uiRefreshInterval = 100;               // Milliseconds between UI refreshes while running
+      this.lastUIRefresh = 0;
+      this.runCondition = null;                   // Stop condition of Step Over/Out and Run to Cursor
+      this.runDescription = '';                   // What the current conditional run is doing
+      this.beeper = new Beeper();                 // Plays while the sound timer runs
+      this.romBuffer = null;  // Last loaded ROM, reloaded when the machine mode changes
+      this.saveSlotCount = 4; // Number of localStorage-backed save slots
+      this.history = new ExecutionHistory(chip8); // Per-instruction undo history
+      this.trace = new TraceRecorder(chip8);      // Optional execution trace
+      this.traceRowHeight = 16;                   // Pixel height of a trace row
+      this.traceOverscan = 10;                    // Trace rows rendered beyond each edge of the view
+      this.traceView = null;                      // What the trace panel shows: the filter, its matches and the rows rendered
+      this.profiler = new Profiler(chip8);        // Optional execution profile
+      this.drawInspector = new DrawInspector(chip8); // Records each DXYN for the graphics inspector
+      this.drawRowLimit = 100;                    // Draws listed at once
+      this.displayOutline = null;                 // Rectangle outlining a draw on the display
+      this.frameHistory = new FrameHistory(chip8); // Recent display frames
+      this.frameHistory.start();
+      this.frameHistorySelected = null;           // Number of the snapshot shown, or null to follow the latest
+      this.profilerRowLimit = 50;                 // Rows rendered per profile table
+      this.profilerRefreshInterval = 500;         // Milliseconds between profile refreshes while running
+      this.lastProfilerRefresh = 0;
+      this.profilerSort = {                       // Sort column and direction of each profile table
+        addresses: { key: 'count', descending: true },
+        subroutines: { key: 'inclusive', descending: true },
+        busyWaits: { key: 'instructions', descending: true }
+      };
+      this.traceDivergence = null;                // Trace index where a reference trace diverged
+      this.faultLog = [];                         // Recent faults, newest first
+      this.faultLogLimit = 20;
+      this.lastFault = null;                      // Fault highlighted in the instruction view
+      this.faultPending = false;                  // A fault was raised since the last step or run started
+      this.memoryWriters = new Map();             // Address -> { pc, opcode } of the instruction that last wrote it
+      this.keyBindings = new KeyBindings();       // Keyboard keys and gamepad inputs of the CHIP-8 keys
+      this.keyBindingsForROM = false;             // Whether the bindings are the loaded ROM's own profile
+      this.bindingKey = null;                     // CHIP-8 key waiting for a new binding in the editor
+      this.heldKeys = new Map();                  // CHIP-8 key -> input sources holding it down
+      this.gamepadInputs = new Set();             // Gamepad inputs active at the last poll
+      this.gamepadPolling = false;
+      
+      this.chip8.on('fault', (fault) => this.handleFault(fault));
+      this.chip8.on('memoryWrite', ({ address }) => {
+        this.memoryWriters.set(address, this.chip8.currentInstruction);
+      });
       
       // Set up the UI after initializing other properties
       this.setupUI();
@@ -39,12 +93,50 @@ class Chip8Debugger {
       // Create instruction display
       this.instructionDisplay = document.createElement('div');
       this.instructionDisplay.className = 'instruction-display';
+      this.instructionDisplay.addEventListener('click', (e) => {
+        // Clicking a line of the memory view toggles a breakpoint there, or runs to it
+        const line = e.target.closest('[data-address]');
+        if (line && e.target.closest('.run-to-cursor')) {
+          this.runToCursor(Number(line.dataset.address));
+        } else if (line) {
+          this.toggleBreakpoint(Number(line.dataset.address));
+        }
+      });
       debuggerSection.appendChild(this.instructionDisplay);
   
       // Create registers display
       this.registersDisplay = document.createElement('div');
       this.registersDisplay.className = 'registers-display';
+      this.registersDisplay.addEventListener('click', (e) => {
+        // Clicking a register, timer or stack value edits it in place
+        const value = e.target.closest('[data-edit]');
+        if (value) {
+          this.beginEdit(value, value.dataset.edit);
+        }
+      });
       debuggerSection.appendChild(this.registersDisplay);
+      
+      // Clicking a memory cell of the memory grid edits that byte
+      const memoryGrid = document.getElementById('memory-grid');
+      if (memoryGrid) {
+        memoryGrid.addEventListener('click', (e) => {
+          if (e.target.dataset.address !== undefined) {
+            this.beginEdit(e.target, `memory:${e.target.dataset.address}`);
+          }
+        });
+      }
+  
+      // Create call stack panel
+      this.setupCallStackPanel(debuggerSection);
+      
+      // Create fault panel
+      this.setupFaultPanel(debuggerSection);
+      
+      // Create breakpoint list
+      this.setupBreakpointPanel(debuggerSection);
+      
+      // Create watchpoint list
+      this.setupWatchpointPanel(debuggerSection);
   
       // Create buttons container
       const buttonsContainer = document.createElement('div');
@@ -57,6 +149,29 @@ class Chip8Debugger {
       stepButton.addEventListener('click', () => this.step());
       buttonsContainer.appendChild(stepButton);
   
+      const stepOverButton = document.createElement('button');
+      stepOverButton.textContent = 'Step Over';
+      stepOverButton.title = 'Run a CALL as one step';
+      stepOverButton.addEventListener('click', () => this.stepOver());
+      buttonsContainer.appendChild(stepOverButton);
+  
+      const stepOutButton = document.createElement('button');
+      stepOutButton.textContent = 'Step Out';
+      stepOutButton.title = 'Run until the current subroutine returns';
+      stepOutButton.addEventListener('click', () => this.stepOut());
+      buttonsContainer.appendChild(stepOutButton);
+  
+      const stepBackButton = document.createElement('button');
+      stepBackButton.textContent = 'Step Back';
+      stepBackButton.addEventListener('click', () => this.stepBack());
+      buttonsContainer.appendChild(stepBackButton);
+  
+      const stepForwardButton = document.createElement('button');
+      stepForwardButton.textContent = 'Step Forward';
+      stepForwardButton.title = 'Redo an instruction undone by Step Back or the rewind slider';
+      stepForwardButton.addEventListener('click', () => this.stepForward());
+      buttonsContainer.appendChild(stepForwardButton);
+  
       const runButton = document.createElement('button');
       runButton.textContent = 'Run';
       runButton.addEventListener('click', () => this.toggleRun());
@@ -67,6 +182,11 @@ class Chip8Debugger {
       resetButton.textContent = 'Reset';
       resetButton.addEventListener('click', () => this.reset());
       buttonsContainer.appendChild(resetButton);
+      
+      // Outcome of Step Over/Out and Run to Cursor
+      this.runStatus = document.createElement('div');
+      this.runStatus.className = 'run-status';
+      debuggerSection.appendChild(this.runStatus);
   
       // Create ROM loader
       const romLoader = document.createElement('div');
@@ -85,34 +205,103 @@ class Chip8Debugger {
       romLoader.appendChild(romFileInput);
       debuggerSection.appendChild(romLoader);
       
-      // Add speed control
+      // Add rewind slider (left = further back in the history). Undone
+      // instructions stay on the slider's right until something new runs.
+      const rewindControl = document.createElement('div');
+      rewindControl.className = 'rewind-control';
+      
+      const rewindLabel = document.createElement('label');
+      rewindLabel.htmlFor = 'rewind-slider';
+      rewindLabel.textContent = 'Rewind: ';
+      
+      this.rewindValue = document.createElement('span');
+      this.rewindValue.textContent = '0 instructions back';
+      
+      this.rewindSlider = document.createElement('input');
+      this.rewindSlider.id = 'rewind-slider';
+      this.rewindSlider.type = 'range';
+      this.rewindSlider.min = '0';
+      this.rewindSlider.max = '0';
+      this.rewindSlider.value = '0';
+      this.rewindSlider.title = 'Drag left to undo instructions and right to redo them; running or editing discards what was undone';
+      this.rewindSlider.addEventListener('input', (e) => {
+        const back = Number(e.target.max) - Number(e.target.value);
+        this.rewindValue.textContent = `${back} instructions back`;
+      });
+      this.rewindSlider.addEventListener('change', (e) => {
+        const move = Number(e.target.value) - this.history.length;
+        if (move < 0) {
+          this.rewind(-move);
+        } else {
+          this.forward(move);
+        }
+      });
+      
+      rewindLabel.appendChild(this.rewindValue);
+      rewindControl.appendChild(rewindLabel);
+      rewindControl.appendChild(this.rewindSlider);
+      debuggerSection.appendChild(rewindControl);
+      
+      // Add speed control (instructions per second; the timers always run at 60Hz)
       const speedControl = document.createElement('div');
       speedControl.className = 'speed-control';
       
       const speedLabel = document.createElement('label');
       speedLabel.htmlFor = 'speed-slider';
-      speedLabel.textContent = 'Emulation Speed: ';
+      speedLabel.textContent = 'Instructions per Second: ';
       
       const speedValue = document.createElement('span');
       speedValue.id = 'speed-value';
-      speedValue.textContent = this.chip8.speed;
+      speedValue.textContent = this.chip8.instructionsPerSecond;
       
       const speedSlider = document.createElement('input');
       speedSlider.id = 'speed-slider';
       speedSlider.type = 'range';
-      speedSlider.min = '1';
-      speedSlider.max = '100';
-      speedSlider.value = this.chip8.speed;
+      speedSlider.min = '60';
+      speedSlider.max = '6000';
+      speedSlider.step = '60';
+      speedSlider.value = this.chip8.instructionsPerSecond;
       speedSlider.addEventListener('input', (e) => {
-        const speed = parseInt(e.target.value);
-        this.chip8.speed = speed;
-        speedValue.textContent = speed;
+        const ips = parseInt(e.target.value);
+        this.chip8.instructionsPerSecond = ips;
+        speedValue.textContent = ips;
       });
       
+      // Measured rates while running
+      this.speedStats = document.createElement('div');
+      this.speedStats.className = 'speed-stats';
+      
       speedLabel.appendChild(speedValue);
       speedControl.appendChild(speedLabel);
       speedControl.appendChild(speedSlider);
+      speedControl.appendChild(this.speedStats);
       debuggerSection.appendChild(speedControl);
+
+      // Add sound settings
+      this.setupSoundControl(debuggerSection);
+
+      // Add interpreter quirks control
+      this.setupQuirksControl(debuggerSection);
+      
+      // Add XO-CHIP mode toggle
+      const modeControl = document.createElement('div');
+      modeControl.className = 'mode-control';
+      
+      const xoChipLabel = document.createElement('label');
+      const xoChipCheckbox = document.createElement('input');
+      xoChipCheckbox.type = 'checkbox';
+      xoChipCheckbox.id = 'xochip-mode';
+      xoChipCheckbox.checked = this.chip8.xoChip;
+      xoChipCheckbox.addEventListener('change', (e) => this.setXOChipMode(e.target.checked));
+      this.xoChipCheckbox = xoChipCheckbox;
+      xoChipLabel.appendChild(xoChipCheckbox);
+      xoChipLabel.appendChild(document.createTextNode(' XO-CHIP mode (64 KB memory, 2 planes)'));
+      
+      modeControl.appendChild(xoChipLabel);
+      debuggerSection.appendChild(modeControl);
+      
+      // Add save states
+      this.setupSaveStates(debuggerSection);
   
       // Create display grid for CHIP-8 screen
       const displaySection = document.createElement('section');
@@ -123,402 +312,3526 @@ class Chip8Debugger {
       displayHeading.textContent = 'CHIP-8 Display';
       displaySection.appendChild(displayHeading);
   
-      this.displayGrid = document.createElement('div');
-      this.displayGrid.id = 'display-grid';
-      displaySection.appendChild(this.displayGrid);
+      // The screen holds the display canvas and the outline of an inspected draw
+      this.displayScreen = document.createElement('div');
+      this.displayScreen.id = 'display-screen';
+      const displayCanvas = document.createElement('canvas');
+      displayCanvas.title = 'Click a pixel to find the draw that last changed it';
+      displayCanvas.addEventListener('click', (e) => {
+        const pixel = this.displayRenderer.pixelAt(e.clientX, e.clientY);
+        if (pixel) {
+          this.inspectPixel(pixel.x, pixel.y);
+        }
+      });
+      this.displayScreen.appendChild(displayCanvas);
+      this.displayRenderer = new DisplayRenderer(displayCanvas);
+      displaySection.appendChild(this.displayScreen);
+      
+      // Add scale, palette, grid and persistence settings
+      this.setupDisplayControls(displaySection);
+      
+      // Add the sprite and draw-call inspector
+      this.setupGraphicsInspector(displaySection);
+      
+      // Add the scrubber over recent frames
+      this.setupFrameHistoryPanel(displaySection);
   
       // Set up keyboard mapping
       this.setupKeyboard();
   
+      // Set up the whole-ROM disassembly
+      this.setupDisassemblyPanel();
+  
+      // Set up the execution trace panel
+      this.setupTracePanel();
+  
+      // Set up the profiler
+      this.setupProfilerPanel();
+  
       // Initial UI update
       this.updateUI();
     }
   
     /**
-     * Set up keyboard input for the CHIP-8
+     * Create the call stack panel
      */
-    setupKeyboard() {
-      // CHIP-8 uses a 16-key hex keyboard (0-F)
-      // We'll map it to the following keys on a standard QWERTY keyboard:
-      // 1 2 3 4   ->   1 2 3 C
-      // Q W E R   ->   4 5 6 D
-      // A S D F   ->   7 8 9 E
-      // Z X C V   ->   A 0 B F
-      const keyMap = {
-        '1': 0x1, '2': 0x2, '3': 0x3, '4': 0xC,
-        'q': 0x4, 'w': 0x5, 'e': 0x6, 'r': 0xD,
-        'a': 0x7, 's': 0x8, 'd': 0x9, 'f': 0xE,
-        'z': 0xA, 'x': 0x0, 'c': 0xB, 'v': 0xF
-      };
-  
-      // Create visual keyboard for debugging
-      const keyboardContainer = document.createElement('div');
-      keyboardContainer.className = 'keyboard-container';
-      document.body.appendChild(keyboardContainer);
+    setupCallStackPanel(container) {
+      const callStackPanel = document.createElement('div');
+      callStackPanel.className = 'call-stack-panel';
       
-      const keyboardHeading = document.createElement('h2');
-      keyboardHeading.textContent = 'CHIP-8 Keyboard';
-      keyboardContainer.appendChild(keyboardHeading);
-      
-      const keyboardGrid = document.createElement('div');
-      keyboardGrid.className = 'keyboard-grid';
-      keyboardContainer.appendChild(keyboardGrid);
-      
-      // Create visual keys
-      const keyLayout = [
-        ['1', '2', '3', 'C'],
-        ['4', '5', '6', 'D'],
-        ['7', '8', '9', 'E'],
-        ['A', '0', 'B', 'F']
-      ];
+      const header = document.createElement('div');
+      header.className = 'call-stack-header';
+      const heading = document.createElement('strong');
+      heading.textContent = 'Call Stack';
+      header.appendChild(heading);
+      this.callStackDepth = document.createElement('span');
+      this.callStackDepth.className = 'call-stack-depth';
+      header.appendChild(this.callStackDepth);
+      callStackPanel.appendChild(header);
       
-      keyLayout.forEach((row, rowIndex) => {
-        row.forEach((key, colIndex) => {
-          const keyButton = document.createElement('button');
-          keyButton.className = 'key-button';
-          keyButton.textContent = key;
-          keyButton.dataset.key = key.toLowerCase();
-          
-          // Map hex values A-F to corresponding keyboard keys
-          const pcKey = key === 'A' ? 'z' : 
-                       key === 'B' ? 'c' : 
-                       key === 'C' ? '4' : 
-                       key === 'D' ? 'r' : 
-                       key === 'E' ? 'f' : 
-                       key === 'F' ? 'v' : 
-                       key.toLowerCase();
-                       
-          keyButton.dataset.pcKey = pcKey;
-          
-          keyButton.addEventListener('mousedown', () => {
-            // Convert hex string to number
-            const hexValue = parseInt(key, 16);
-            this.chip8.keyPress(hexValue);
-            keyButton.classList.add('pressed');
-          });
-          
-          keyButton.addEventListener('mouseup', () => {
-            const hexValue = parseInt(key, 16);
-            this.chip8.keyRelease(hexValue);
-            keyButton.classList.remove('pressed');
-          });
-          
-          keyButton.addEventListener('mouseleave', () => {
-            if (keyButton.classList.contains('pressed')) {
-              const hexValue = parseInt(key, 16);
-              this.chip8.keyRelease(hexValue);
-              keyButton.classList.remove('pressed');
-            }
-          });
-          
-          keyboardGrid.appendChild(keyButton);
-        });
-      });
-  
-      // Handle key down events
-      document.addEventListener('keydown', (event) => {
-        const key = event.key.toLowerCase();
-        if (keyMap[key] !== undefined) {
-          this.chip8.keyPress(keyMap[key]);
-          
-          // Update visual keyboard
-          const buttons = document.querySelectorAll('.key-button');
-          buttons.forEach(button => {
-            if (button.dataset.pcKey === key) {
-              button.classList.add('pressed');
-            }
-          });
-          
-          // Prevent default actions for these keys
-          event.preventDefault();
-        }
-      });
-  
-      // Handle key up events
-      document.addEventListener('keyup', (event) => {
-        const key = event.key.toLowerCase();
-        if (keyMap[key] !== undefined) {
-          this.chip8.keyRelease(keyMap[key]);
-          
-          // Update visual keyboard
-          const buttons = document.querySelectorAll('.key-button');
-          buttons.forEach(button => {
-            if (button.dataset.pcKey === key) {
-              button.classList.remove('pressed');
-            }
-          });
-          
-          event.preventDefault();
+      this.callStackList = document.createElement('div');
+      this.callStackList.className = 'call-stack-list';
+      this.callStackList.addEventListener('click', (e) => {
+        // Clicking a frame shows its call site, or the subroutine when its name is clicked
+        const target = e.target.closest('[data-goto]');
+        if (target) {
+          e.preventDefault();
+          this.goToAddress(Number(target.dataset.goto));
         }
       });
+      callStackPanel.appendChild(this.callStackList);
+      
+      container.appendChild(callStackPanel);
     }
   
     /**
-     * Execute a single instruction and update the UI
+     * List the stack frames, innermost first, as call site -> subroutine
      */
-    step() {
-      if (!this.chip8.paused) {
-        // Store the current PC for highlighting in memory view
-        this.lastPC = this.chip8.pc;
-        
-        // Execute one instruction
-        this.chip8.executeInstruction();
-        
-        // Update display if needed
-        if (this.chip8.drawFlag) {
-          this.updateDisplay();
-          this.chip8.drawFlag = false;
-        }
+    updateCallStackPanel() {
+      const { sp, stack, memory } = this.chip8;
+      const hex = (value) => `0x${value.toString(16).padStart(4, '0')}`;
+      const stackFault = this.lastFault !== null && this.lastFault.type.startsWith('stack-') ? this.lastFault : null;
+      
+      // SP only leaves 0-16 through editing or a loaded state; a full stack overflows on the next call
+      let problem = null;
+      if (sp < 0) {
+        problem = `Underflow: SP is ${sp}`;
+      } else if (sp > stack.length) {
+        problem = `Overflow: SP is ${sp}, past the ${stack.length} levels`;
+      } else if (stackFault) {
+        problem = `${stackFault.reason} at ${hex(stackFault.pc)}`;
+      }
+      
+      this.callStackDepth.textContent = `Depth ${sp}/${stack.length}${sp === stack.length ? ' (full)' : ''}`;
+      this.callStackDepth.classList.toggle('full', sp >= stack.length);
+      
+      let html = problem ? `<div class="call-stack-problem">${problem}</div>` : '';
+      const depth = Math.max(0, Math.min(sp, stack.length));
+      for (let level = depth - 1; level >= 0; level--) {
+        // The stack holds return addresses, just past the CALL that pushed them
+        const returnAddress = stack[level];
+        const callSite = returnAddress - 2;
+        const opcode = (memory[callSite] << 8) | memory[callSite + 1];
+        const isCall = callSite >= 0 && (opcode & 0xF000) === 0x2000;
+        const target = isCall
+          ? `<a href="#" data-goto="${opcode & 0x0FFF}">${this.formatAddressName(opcode & 0x0FFF)}</a>`
+          : '<span class="call-stack-unknown" title="The return address doesn\'t follow a CALL">?</span>';
         
-        // Update debugger UI
-        this.updateUI();
+        html += `<div class="call-stack-frame${isCall ? '' : ' invalid'}">` +
+          `<span class="call-stack-level">#${level}</span> ` +
+          `<a href="#" data-goto="${Math.max(0, callSite)}" title="Returns to ${hex(returnAddress)}">${this.formatAddressName(Math.max(0, callSite), true)}</a>` +
+          ` &#8594; ${target}</div>`;
       }
+      if (depth === 0 && !problem) {
+        html += '<div class="call-stack-empty">Not in a subroutine</div>';
+      }
+      
+      this.callStackList.innerHTML = html;
     }
   
     /**
-     * Toggle continuous execution
+     * An address with its label, e.g. "sub_0210 (0x0210)". With nearest, an
+     * address without a label of its own is named from the label before it ("start+0x4").
      */
-    toggleRun() {
-      this.running = !this.running;
+    formatAddressName(address, nearest = false) {
+      const hex = `0x${address.toString(16).padStart(4, '0')}`;
+      const names = this.addressNames;
       
-      if (this.running) {
-        this.runButton.textContent = 'Pause';
-        
-        // Start continuous execution
-        this.runIntervalId = setInterval(() => {
-          // Run one emulation cycle (multiple instructions based on speed)
-          this.chip8.emulateCycle();
-          
-          // Update display if needed
-          if (this.chip8.drawFlag) {
-            this.updateDisplay();
-            this.chip8.drawFlag = false;
-          }
-          
-          // Update UI less frequently to avoid overloading the browser
-          if (Math.random() < 0.1) { // Update UI with 10% probability each cycle
-            this.updateUI();
-          }
-          
-          // Check for breakpoints
-          if (this.breakpoints.has(this.chip8.pc)) {
-            this.toggleRun(); // Pause execution
-            this.updateUI();  // Force UI update
-            alert(`Breakpoint hit at address 0x${this.chip8.pc.toString(16).padStart(4, '0')}`);
+      if (names.has(address)) {
+        return `${names.get(address)} (${hex})`;
+      }
+      if (nearest) {
+        // Binary search for the last named address below this one
+        const addresses = this.namedAddresses;
+        let low = 0;
+        let high = addresses.length;
+        while (low < high) {
+          const middle = (low + high) >> 1;
+          if (addresses[middle] < address) {
+            low = middle + 1;
+          } else {
+            high = middle;
           }
-        }, 16); // ~60 Hz (16.67ms)
-      } else {
-        this.runButton.textContent = 'Run';
-        clearInterval(this.runIntervalId);
-        this.updateUI(); // Make sure UI is up to date
+        }
+        if (low > 0) {
+          const base = addresses[low - 1];
+          return `${hex} (${names.get(base)}+0x${(address - base).toString(16)})`;
+        }
       }
+      return hex;
     }
   
-    /**
-     * Reset the emulator
-     */
-    reset() {
-      if (this.running) {
-        this.toggleRun(); // Stop execution if running
-      }
-      
-      this.chip8.reset();
-      this.updateUI();
-      this.updateDisplay();
+    // Merge the disassembly labels and the symbols (which win) for formatAddressName()
+    updateAddressNames() {
+      this.addressNames = new Map(this.disassembly ? this.disassembly.labels : []);
+      this.symbols.names.forEach((name, address) => this.addressNames.set(address, name));
+      this.namedAddresses = [...this.addressNames.keys()].sort((a, b) => a - b);
     }
   
     /**
-     * Load a ROM file
+     * Show an address in the disassembly and the memory grid
      */
-    loadROM(event) {
-      const file = event.target.files[0];
-      if (!file) return;
-      
-      const reader = new FileReader();
+    goToAddress(address) {
+      document.querySelectorAll('.jump-target').forEach(element => element.classList.remove('jump-target'));
       
-      reader.onload = (e) => {
-        const buffer = new Uint8Array(e.target.result);
-        
-        // Reset before loading ROM
-        this.reset();
-        
-        // Load ROM into memory
-        this.chip8.loadROM(buffer);
-        
-        // Update UI to show loaded ROM
-        this.updateUI();
-        
-        console.log(`Loaded ROM: ${file.name}, size: ${buffer.length} bytes`);
-      };
+      const row = this.disassemblyRows.get(address);
+      if (row) {
+        row.classList.add('jump-target');
+        this.scrollDisassemblyTo(address);
+      }
       
-      reader.readAsArrayBuffer(file);
+      // The memory grid only renders the rows in view, so scroll before looking for the cell
+      const view = this.memoryGridView;
+      if (!view || isNaN(address)) return;
+      view.scrollToAddress(address);
+      const cell = view.cell(address);
+      if (cell) {
+        cell.classList.add('jump-target');
+      }
     }
   
     /**
-     * Update the instruction and register displays
+     * Set up the fault panel: the last fault, the fault log and the halt setting
      */
-    updateUI() {
-      // Get current instruction
-      const currentPC = this.chip8.pc;
-      const currentOpcode = (this.chip8.memory[currentPC] << 8) | this.chip8.memory[currentPC + 1];
-      
-      // Format PC and instruction
-      const pcHex = currentPC.toString(16).padStart(4, '0');
-      const opcodeHex = currentOpcode.toString(16).padStart(4, '0');
+    setupFaultPanel(container) {
+      const faultPanel = document.createElement('div');
+      faultPanel.className = 'fault-panel';
       
-      // Get instruction metadata
-      const instruction = this.chip8.disassembleInstruction(currentOpcode);
-      const description = this.chip8.getInstructionDescription(currentOpcode);
-      
-      // Update instruction display
-      this.instructionDisplay.innerHTML = `
-        <div class="instruction-info">
-          <div><strong>PC:</strong> 0x${pcHex}</div>
-          <div><strong>Opcode:</strong> 0x${opcodeHex}</div>
-          <div><strong>Instruction:</strong> ${instruction}</div>
-        </div>
-        <div class="instruction-description">
-          <strong>Description:</strong> ${description}
-        </div>
-        <div class="memory-view">
-          <strong>Memory around PC:</strong>
-          <div class="memory-bytes">
-            ${this.formatMemoryView(currentPC - 6, currentPC + 10)}
-          </div>
-        </div>
-      `;
+      const header = document.createElement('div');
+      header.className = 'fault-header';
       
-      // Update registers display
-      let registersHTML = '<div class="registers">';
+      const heading = document.createElement('strong');
+      heading.textContent = 'Faults';
+      header.appendChild(heading);
       
-      // V registers
-      registersHTML += '<div class="register-column">';
-      for (let i = 0; i < 16; i++) {
-        const regName = `V${i.toString(16).toUpperCase()}`;
-        const regValue = this.chip8.v[i].toString(16).padStart(2, '0');
-        registersHTML += `<div><strong>${regName}:</strong> 0x${regValue}</div>`;
-      }
-      registersHTML += '</div>';
+      // Whether a fault halts the CPU or lets it carry on (the debugger pauses either way)
+      const modeLabel = document.createElement('label');
+      modeLabel.htmlFor = 'fault-mode';
+      modeLabel.textContent = 'On fault: ';
+      const modeSelect = document.createElement('select');
+      modeSelect.id = 'fault-mode';
+      [['continue', 'Pause and continue'], ['halt', 'Halt the CPU']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        modeSelect.appendChild(option);
+      });
+      modeSelect.value = this.chip8.haltOnFault ? 'halt' : 'continue';
+      modeSelect.addEventListener('change', (e) => {
+        this.chip8.haltOnFault = e.target.value === 'halt';
+      });
+      modeLabel.appendChild(modeSelect);
+      header.appendChild(modeLabel);
       
-      // Special registers and timers
-      registersHTML += '<div class="register-column">';
-      registersHTML += `<div><strong>I:</strong> 0x${this.chip8.i.toString(16).padStart(4, '0')}</div>`;
-      registersHTML += `<div><strong>PC:</strong> 0x${this.chip8.pc.toString(16).padStart(4, '0')}</div>`;
-      registersHTML += `<div><strong>SP:</strong> ${this.chip8.sp}</div>`;
-      registersHTML += `<div><strong>Delay Timer:</strong> ${this.chip8.delayTimer}</div>`;
-      registersHTML += `<div><strong>Sound Timer:</strong> ${this.chip8.soundTimer}</div>`;
-      registersHTML += '</div>';
+      const clearButton = document.createElement('button');
+      clearButton.textContent = 'Clear Log';
+      clearButton.addEventListener('click', () => {
+        this.faultLog = [];
+        this.updateFaultPanel();
+      });
+      header.appendChild(clearButton);
       
-      // Stack
-      registersHTML += '<div class="register-column">';
-      registersHTML += '<div><strong>Stack:</strong></div>';
-      for (let i = 0; i < Math.min(this.chip8.sp, 8); i++) {
-        registersHTML += `<div>${i}: 0x${this.chip8.stack[i].toString(16).padStart(4, '0')}</div>`;
-      }
-      registersHTML += '</div>';
+      faultPanel.appendChild(header);
       
-      registersHTML += '</div>'; // Close registers div
+      this.faultCurrent = document.createElement('div');
+      this.faultCurrent.className = 'fault-current';
+      faultPanel.appendChild(this.faultCurrent);
       
-      this.registersDisplay.innerHTML = registersHTML;
+      this.faultLogList = document.createElement('div');
+      this.faultLogList.className = 'fault-log';
+      faultPanel.appendChild(this.faultLogList);
       
-      // Update memory view to highlight current PC
-      if (this.lastPC !== null) {
-        this.highlightMemoryAddress(this.lastPC);
-      }
+      container.appendChild(faultPanel);
     }
   
     /**
-     * Format a view of memory around a specific address
+     * Record a fault raised by the CPU and stop the running batch
      */
-    formatMemoryView(startAddr, endAddr) {
-      // Ensure addresses are within memory bounds
-      startAddr = Math.max(0, startAddr);
-      endAddr = Math.min(this.chip8.memory.length - 1, endAddr);
-      
-      let html = '';
-      
-      for (let addr = startAddr; addr <= endAddr; addr += 2) {
-        // Format address
-        const addrHex = addr.toString(16).padStart(4, '0');
-        
-        // Get opcode (2 bytes) if possible
-        let opcodeStr = '??';
-        if (addr + 1 < this.chip8.memory.length) {
-          const opcode = (this.chip8.memory[addr] << 8) | this.chip8.memory[addr + 1];
-          opcodeStr = opcode.toString(16).padStart(4, '0');
-        }
-        
-        // Highlight current PC
-        const isCurrentPC = (addr === this.chip8.pc);
-        const pcMarker = isCurrentPC ? '→ ' : '  ';
-        const highlightClass = isCurrentPC ? 'class="current-pc"' : '';
-        
-        // Try to disassemble
-        let disasm = '';
-        if (addr + 1 < this.chip8.memory.length) {
-          const opcode = (this.chip8.memory[addr] << 8) | this.chip8.memory[addr + 1];
-          disasm = this.chip8.disassembleInstruction(opcode);
-        }
-        
-        html += `<div id="mem-${addrHex}" ${highlightClass}>${pcMarker}0x${addrHex}: 0x${opcodeStr} ${disasm}</div>`;
+    handleFault(fault) {
+      this.faultLog.unshift(fault);
+      if (this.faultLog.length > this.faultLogLimit) {
+        this.faultLog.length = this.faultLogLimit;
       }
       
-      return html;
+      this.lastFault = fault;
+      this.faultPending = true;
+      this.chip8.breakRequested = true;
     }
   
     /**
-     * Highlight a memory address in the memory view
+     * Show the last fault and the fault log
      */
-    highlightMemoryAddress(address) {
-      // Find existing memory view cells
-      const cells = document.querySelectorAll('#memory-grid div');
+    updateFaultPanel() {
+      const describe = (fault) => `${fault.type} at 0x${fault.pc.toString(16).padStart(4, '0')} ` +
+        `(${this.chip8.disassembleInstruction(fault.opcode)}): ${fault.reason}`;
       
-      // Remove previous highlighting
-      cells.forEach(cell => {
-        cell.classList.remove('current-instruction');
-      });
+      this.faultCurrent.textContent = this.lastFault ? describe(this.lastFault) : 'No fault';
+      this.faultCurrent.classList.toggle('active', this.lastFault !== null);
       
-      // Add highlighting to the correct cell
-      const cellToHighlight = document.getElementById(address.toString());
-      if (cellToHighlight) {
-        cellToHighlight.classList.add('current-instruction');
-        cellToHighlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      }
+      this.faultLogList.innerHTML = this.faultLog
+        .map(fault => `<div>${describe(fault)}</div>`)
+        .join('');
     }
   
     /**
-     * Update the CHIP-8 display
+     * Create the breakpoint list panel
      */
-    updateDisplay() {
-      // Create a grid for the display
-      const displayGrid = document.getElementById('display-grid');
+    setupBreakpointPanel(container) {
+      const breakpointPanel = document.createElement('div');
+      breakpointPanel.className = 'breakpoint-panel';
       
-      // Clear existing display
-      while (displayGrid.firstChild) {
-        displayGrid.removeChild(displayGrid.firstChild);
-      }
+      const header = document.createElement('div');
+      header.className = 'breakpoint-header';
       
-      // Set grid size based on CHIP-8 display dimensions
-      displayGrid.style.display = 'grid';
-      displayGrid.style.gridTemplateColumns = `repeat(${DISPLAY_WIDTH}, ${this.displayScale}px)`;
-      displayGrid.style.gridTemplateRows = `repeat(${DISPLAY_HEIGHT}, ${this.displayScale}px)`;
+      const heading = document.createElement('strong');
+      heading.textContent = 'Breakpoints';
+      header.appendChild(heading);
       
-      // Draw each pixel
-      for (let y = 0; y < DISPLAY_HEIGHT; y++) {
-        for (let x = 0; x < DISPLAY_WIDTH; x++) {
-          const pixel = document.createElement('div');
-          pixel.style.width = `${this.displayScale}px`;
-          pixel.style.height = `${this.displayScale}px`;
-          
-          // Set pixel color based on display memory
-          if (this.chip8.display[y][x] === 1) {
-            pixel.style.backgroundColor = 'white';
-          } else {
-            pixel.style.backgroundColor = 'black';
-          }
-          
-          displayGrid.appendChild(pixel);
+      const addressInput = document.createElement('input');
+      addressInput.type = 'text';
+      addressInput.id = 'breakpoint-address';
+      addressInput.placeholder = 'hex address';
+      const addButton = document.createElement('button');
+      addButton.textContent = 'Add';
+      const addBreakpoint = () => {
+        const address = parseInt(addressInput.value, 16);
+        if (!/^\s*(0x)?[0-9a-f]+\s*$/i.test(addressInput.value) || address >= this.chip8.memory.length) {
+          this.breakpointStatus.textContent = `Invalid address "${addressInput.value}"`;
+          return;
         }
+        this.breakpoints.add(address);
+        addressInput.value = '';
+        this.renderBreakpointList();
+        this.updateUI();
+      };
+      addButton.addEventListener('click', addBreakpoint);
+      addressInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addBreakpoint();
+      });
+      header.appendChild(addressInput);
+      header.appendChild(addButton);
+      
+      const resetHitsButton = document.createElement('button');
+      resetHitsButton.textContent = 'Reset Hits';
+      resetHitsButton.addEventListener('click', () => {
+        this.breakpoints.resetHits();
+        this.updateUI();
+      });
+      header.appendChild(resetHitsButton);
+      
+      const clearButton = document.createElement('button');
+      clearButton.textContent = 'Clear All';
+      clearButton.addEventListener('click', () => {
+        this.breakpoints.clear();
+        this.renderBreakpointList();
+        this.updateUI();
+      });
+      header.appendChild(clearButton);
+      
+      breakpointPanel.appendChild(header);
+      
+      this.breakpointStatus = document.createElement('div');
+      this.breakpointStatus.className = 'breakpoint-status';
+      breakpointPanel.appendChild(this.breakpointStatus);
+      
+      this.breakpointList = document.createElement('div');
+      this.breakpointList.className = 'breakpoint-list';
+      breakpointPanel.appendChild(this.breakpointList);
+      this.breakpointRows = new Map(); // Address -> { row, hits }
+      this.renderBreakpointList();
+      
+      container.appendChild(breakpointPanel);
+      
+      // Clicking an address cell of the memory grid toggles a breakpoint there
+      const memoryGrid = document.getElementById('memory-grid');
+      if (memoryGrid) {
+        memoryGrid.addEventListener('click', (e) => {
+          if (e.target.id !== '' && !isNaN(Number(e.target.id))) {
+            this.toggleBreakpoint(Number(e.target.id));
+          }
+        });
       }
     }
+  
+    /**
+     * Add or remove a breakpoint at an address
+     */
+    toggleBreakpoint(address) {
+      this.breakpoints.toggle(address);
+      this.renderBreakpointList();
+      this.renderDisassembly();
+      this.updateUI();
+      this.updateMemoryGridBreakpoints();
+    }
+  
+    /**
+     * Rebuild the breakpoint list (only when breakpoints are added or removed,
+     * so typing in a condition isn't interrupted by UI updates)
+     */
+    renderBreakpointList() {
+      this.breakpointList.innerHTML = '';
+      this.breakpointRows.clear();
+      
+      this.breakpoints.list().forEach((breakpoint) => {
+        const address = breakpoint.address;
+        const row = document.createElement('div');
+        row.className = 'breakpoint-row';
+        
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledCheckbox.title = 'Enabled';
+        enabledCheckbox.checked = breakpoint.enabled;
+        enabledCheckbox.addEventListener('change', (e) => {
+          this.breakpoints.setEnabled(address, e.target.checked);
+          this.updateUI();
+        });
+        row.appendChild(enabledCheckbox);
+        
+        const addressLink = document.createElement('a');
+        addressLink.href = '#';
+        addressLink.className = 'breakpoint-address';
+        addressLink.textContent = this.formatAddressName(address);
+        addressLink.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.highlightMemoryAddress(address);
+        });
+        row.appendChild(addressLink);
+        
+        const conditionInput = document.createElement('input');
+        conditionInput.type = 'text';
+        conditionInput.className = 'breakpoint-condition';
+        conditionInput.placeholder = 'condition, e.g. V3 == 0x10 && I > 0x300';
+        conditionInput.value = breakpoint.condition;
+        conditionInput.addEventListener('change', (e) => {
+          try {
+            this.breakpoints.setCondition(address, e.target.value);
+            conditionInput.classList.remove('invalid');
+            this.breakpointStatus.textContent = '';
+          } catch (error) {
+            conditionInput.classList.add('invalid');
+            this.breakpointStatus.textContent = `Condition for 0x${address.toString(16).padStart(4, '0')}: ${error.message}`;
+          }
+        });
+        row.appendChild(conditionInput);
+        
+        const hitCountLabel = document.createElement('label');
+        hitCountLabel.textContent = 'Break on hit ';
+        hitCountLabel.title = 'Only break once the breakpoint has been reached this many times';
+        const hitCountInput = document.createElement('input');
+        hitCountInput.type = 'number';
+        hitCountInput.className = 'breakpoint-hit-count';
+        hitCountInput.min = '0';
+        hitCountInput.value = breakpoint.hitCount;
+        hitCountInput.addEventListener('change', (e) => {
+          const hitCount = Number(e.target.value);
+          if (Number.isInteger(hitCount) && hitCount >= 0) {
+            this.breakpoints.setHitCount(address, hitCount);
+          } else {
+            e.target.value = breakpoint.hitCount;
+          }
+        });
+        hitCountLabel.appendChild(hitCountInput);
+        row.appendChild(hitCountLabel);
+        
+        const hits = document.createElement('span');
+        hits.className = 'breakpoint-hits';
+        row.appendChild(hits);
+        
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => this.toggleBreakpoint(address));
+        row.appendChild(removeButton);
+        
+        this.breakpointList.appendChild(row);
+        this.breakpointRows.set(address, { row, hits });
+      });
+      
+      if (this.breakpointRows.size === 0) {
+        this.breakpointList.textContent = 'No breakpoints. Click a line of the memory view or an address in the memory grid to add one.';
+      }
+    }
+  
+    /**
+     * Update hit counters and highlight the breakpoint that stopped execution
+     */
+    updateBreakpointPanel() {
+      const lastHit = this.breakpoints.lastHit;
+      
+      this.breakpointRows.forEach(({ row, hits }, address) => {
+        const breakpoint = this.breakpoints.get(address);
+        if (!breakpoint) return;
+        hits.textContent = `${breakpoint.hits} hit${breakpoint.hits === 1 ? '' : 's'}`;
+        row.classList.toggle('disabled', !breakpoint.enabled);
+        row.classList.toggle('hit', breakpoint === lastHit);
+      });
+      
+      if (lastHit) {
+        this.breakpointStatus.textContent = `Stopped at breakpoint 0x${lastHit.address.toString(16).padStart(4, '0')}` +
+          (lastHit.condition ? ` (${lastHit.condition})` : '') + ` after ${lastHit.hits} hit${lastHit.hits === 1 ? '' : 's'}`;
+      } else if (!this.breakpointList.querySelector('.breakpoint-condition.invalid')) {
+        this.breakpointStatus.textContent = '';
+      }
+    }
+  
+    /**
+     * Create the watchpoint panel: forms for memory and register watchpoints and the list
+     */
+    setupWatchpointPanel(container) {
+      const watchpointPanel = document.createElement('div');
+      watchpointPanel.className = 'watchpoint-panel';
+      
+      const header = document.createElement('div');
+      header.className = 'watchpoint-header';
+      const heading = document.createElement('strong');
+      heading.textContent = 'Watchpoints';
+      header.appendChild(heading);
+      
+      const clearButton = document.createElement('button');
+      clearButton.textContent = 'Clear All';
+      clearButton.addEventListener('click', () => {
+        this.watchpoints.clear();
+        this.renderWatchpointList();
+        this.updateUI();
+      });
+      header.appendChild(clearButton);
+      watchpointPanel.appendChild(header);
+      
+      const createSelect = (options) => {
+        const select = document.createElement('select');
+        options.forEach(([value, text]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = text;
+          select.appendChild(option);
+        });
+        return select;
+      };
+      const parseHex = (text) => /^\s*(0x)?[0-9a-f]+\s*$/i.test(text) ? parseInt(text, 16) : NaN;
+      const addWatchpoint = (add) => {
+        try {
+          add();
+          this.watchpointStatus.textContent = '';
+          this.renderWatchpointList();
+          this.updateUI();
+        } catch (error) {
+          this.watchpointStatus.textContent = error.message;
+        }
+      };
+      
+      // Memory range: start, optional end, access type
+      const memoryForm = document.createElement('div');
+      memoryForm.className = 'watchpoint-form';
+      memoryForm.appendChild(document.createTextNode('Memory '));
+      const startInput = document.createElement('input');
+      startInput.type = 'text';
+      startInput.placeholder = 'start';
+      const endInput = document.createElement('input');
+      endInput.type = 'text';
+      endInput.placeholder = 'end (optional)';
+      const accessSelect = createSelect([['write', 'Write'], ['read', 'Read'], ['readwrite', 'Read/Write']]);
+      const addMemoryButton = document.createElement('button');
+      addMemoryButton.textContent = 'Watch';
+      addMemoryButton.addEventListener('click', () => addWatchpoint(() => {
+        const start = parseHex(startInput.value);
+        const end = endInput.value.trim() === '' ? start : parseHex(endInput.value);
+        this.watchpoints.addMemory(start, end, accessSelect.value);
+        startInput.value = '';
+        endInput.value = '';
+      }));
+      [startInput, endInput, accessSelect, addMemoryButton].forEach(element => memoryForm.appendChild(element));
+      watchpointPanel.appendChild(memoryForm);
+      
+      // Register: any change, or changing to a value
+      const registerForm = document.createElement('div');
+      registerForm.className = 'watchpoint-form';
+      registerForm.appendChild(document.createTextNode('Register '));
+      const registerSelect = createSelect(WATCHPOINT_REGISTERS.map(register => [register, register]));
+      const modeSelect = createSelect([['change', 'changes'], ['equals', 'becomes']]);
+      const valueInput = document.createElement('input');
+      valueInput.type = 'text';
+      valueInput.placeholder = 'hex value';
+      valueInput.disabled = true;
+      modeSelect.addEventListener('change', () => {
+        valueInput.disabled = modeSelect.value !== 'equals';
+      });
+      const addRegisterButton = document.createElement('button');
+      addRegisterButton.textContent = 'Watch';
+      addRegisterButton.addEventListener('click', () => addWatchpoint(() => {
+        const value = modeSelect.value === 'equals' ? parseHex(valueInput.value) : null;
+        this.watchpoints.addRegister(registerSelect.value, modeSelect.value, value);
+        valueInput.value = '';
+      }));
+      [registerSelect, modeSelect, valueInput, addRegisterButton].forEach(element => registerForm.appendChild(element));
+      watchpointPanel.appendChild(registerForm);
+      
+      this.watchpointStatus = document.createElement('div');
+      this.watchpointStatus.className = 'watchpoint-status';
+      watchpointPanel.appendChild(this.watchpointStatus);
+      
+      this.watchpointList = document.createElement('div');
+      this.watchpointList.className = 'watchpoint-list';
+      watchpointPanel.appendChild(this.watchpointList);
+      this.watchpointRows = new Map(); // Id -> { row, hits }
+      this.renderWatchpointList();
+      
+      container.appendChild(watchpointPanel);
+    }
+  
+    /**
+     * Rebuild the watchpoint list (only when watchpoints are added or removed)
+     */
+    renderWatchpointList() {
+      this.watchpointList.innerHTML = '';
+      this.watchpointRows.clear();
+      
+      this.watchpoints.list().forEach((watchpoint) => {
+        const row = document.createElement('div');
+        row.className = 'watchpoint-row';
+        
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledCheckbox.title = 'Enabled';
+        enabledCheckbox.checked = watchpoint.enabled;
+        enabledCheckbox.addEventListener('change', (e) => {
+          this.watchpoints.setEnabled(watchpoint.id, e.target.checked);
+          this.updateUI();
+        });
+        row.appendChild(enabledCheckbox);
+        
+        const description = document.createElement('span');
+        description.className = 'watchpoint-description';
+        description.textContent = this.describeWatchpoint(watchpoint);
+        row.appendChild(description);
+        
+        const hits = document.createElement('span');
+        hits.className = 'watchpoint-hits';
+        row.appendChild(hits);
+        
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+          this.watchpoints.remove(watchpoint.id);
+          this.renderWatchpointList();
+          this.updateUI();
+        });
+        row.appendChild(removeButton);
+        
+        this.watchpointList.appendChild(row);
+        this.watchpointRows.set(watchpoint.id, { row, hits });
+      });
+      
+      if (this.watchpointRows.size === 0) {
+        this.watchpointList.textContent = 'No watchpoints';
+      }
+    }
+  
+    /**
+     * A watchpoint as text, e.g. "Write 0x0300-0x0302" or "V3 becomes 0x10"
+     */
+    describeWatchpoint(watchpoint) {
+      const hex = (value) => `0x${value.toString(16).padStart(4, '0')}`;
+      
+      if (watchpoint.type === 'memory') {
+        const access = { read: 'Read', write: 'Write', readwrite: 'Read/Write' }[watchpoint.access];
+        const range = watchpoint.end === watchpoint.start ? hex(watchpoint.start) : `${hex(watchpoint.start)}-${hex(watchpoint.end)}`;
+        return `${access} ${range}`;
+      }
+      return watchpoint.mode === 'equals'
+        ? `${watchpoint.register} becomes 0x${watchpoint.value.toString(16)}`
+        : `${watchpoint.register} changes`;
+    }
+  
+    /**
+     * Update hit counters and report the watchpoint that stopped execution
+     */
+    updateWatchpointPanel() {
+      const trigger = this.watchpoints.lastTrigger;
+      
+      this.watchpointRows.forEach(({ row, hits }, id) => {
+        const watchpoint = this.watchpoints.get(id);
+        if (!watchpoint) return;
+        hits.textContent = `${watchpoint.hits} hit${watchpoint.hits === 1 ? '' : 's'}`;
+        row.classList.toggle('disabled', !watchpoint.enabled);
+        row.classList.toggle('hit', trigger !== null && trigger.watchpoint === watchpoint);
+      });
+      
+      if (!trigger) {
+        // Keep form errors, but drop the report of an earlier trigger
+        if (this.watchpointStatus.classList.contains('hit')) {
+          this.watchpointStatus.textContent = '';
+          this.watchpointStatus.classList.remove('hit');
+        }
+        return;
+      }
+      
+      // Which instruction (or timer tick) triggered it, and the old and new values
+      const width = trigger.register === 'I' ? 4 : 2;
+      const value = (v) => `0x${v.toString(16).padStart(width, '0')}`;
+      const pcHex = `0x${trigger.pc.toString(16).padStart(4, '0')}`;
+      const nextWord = (this.chip8.memory[trigger.pc + 2] << 8) | this.chip8.memory[trigger.pc + 3];
+      const instruction = trigger.frame !== undefined
+        ? `the timer tick of frame ${trigger.frame} (PC ${pcHex})`
+        : `${pcHex} ${this.chip8.disassembleInstruction(trigger.opcode, nextWord)}`;
+      const change = trigger.register
+        ? `${trigger.register}: ${value(trigger.oldValue)} -> ${value(trigger.newValue)}`
+        : trigger.access === 'read'
+          ? `read [0x${trigger.address.toString(16).padStart(4, '0')}] = ${value(trigger.newValue)}`
+          : `wrote [0x${trigger.address.toString(16).padStart(4, '0')}]: ${value(trigger.oldValue)} -> ${value(trigger.newValue)}`;
+      
+      this.watchpointStatus.textContent = `${this.describeWatchpoint(trigger.watchpoint)} triggered by ${instruction}, ${change}`;
+      this.watchpointStatus.classList.add('hit');
+    }
+  
+    /**
+     * Mark the memory grid address cells that have breakpoints
+     */
+    updateMemoryGridBreakpoints() {
+      document.querySelectorAll('#memory-grid .address-cell').forEach((cell) => {
+        const address = cell.id === '' ? NaN : Number(cell.id);
+        const breakpoint = isNaN(address) ? null : this.breakpoints.get(address);
+        cell.classList.toggle('breakpoint', breakpoint !== null && breakpoint.enabled);
+      });
+    }
+  
+    /**
+     * Set up the quirks preset selector and per-quirk toggles
+     */
+    setupQuirksControl(container) {
+      const quirksControl = document.createElement('fieldset');
+      quirksControl.className = 'quirks-control';
+
+      const legend = document.createElement('legend');
+      legend.textContent = 'Quirks: ';
+      this.quirksPresetName = document.createElement('span');
+      this.quirksPresetName.className = 'quirks-preset-name';
+      legend.appendChild(this.quirksPresetName);
+      quirksControl.appendChild(legend);
+
+      // Preset selector ("Custom" is only shown when the toggles match no preset)
+      this.quirksPresetSelect = document.createElement('select');
+      this.quirksPresetSelect.id = 'quirks-preset';
+      Object.entries(QUIRK_PRESETS).forEach(([presetName, preset]) => {
+        const option = document.createElement('option');
+        option.value = presetName;
+        option.textContent = preset.name;
+        this.quirksPresetSelect.appendChild(option);
+      });
+      const customOption = document.createElement('option');
+      customOption.value = '';
+      customOption.textContent = 'Custom';
+      customOption.disabled = true;
+      this.quirksPresetSelect.appendChild(customOption);
+      this.quirksPresetSelect.addEventListener('change', (e) => {
+        this.chip8.setQuirkPreset(e.target.value);
+        this.updateQuirksControl();
+      });
+      quirksControl.appendChild(this.quirksPresetSelect);
+
+      // One checkbox per quirk
+      this.quirkCheckboxes = {};
+      Object.entries(QUIRK_NAMES).forEach(([quirkName, description]) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.addEventListener('change', (e) => {
+          this.chip8.setQuirk(quirkName, e.target.checked);
+          this.updateQuirksControl();
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${description}`));
+        quirksControl.appendChild(label);
+        this.quirkCheckboxes[quirkName] = checkbox;
+      });
+
+      container.appendChild(quirksControl);
+      this.updateQuirksControl();
+    }
+
+    /**
+     * Sync the quirks control with the emulator's current quirks
+     */
+    updateQuirksControl() {
+      const presetName = this.chip8.getQuirkPreset();
+      this.quirksPresetSelect.value = presetName || '';
+      this.quirksPresetName.textContent = presetName ? QUIRK_PRESETS[presetName].name : 'Custom';
+
+      Object.entries(this.quirkCheckboxes).forEach(([quirkName, checkbox]) => {
+        checkbox.checked = this.chip8.quirks[quirkName];
+      });
+    }
+
+    /**
+     * Set up numbered save slots plus snapshot export/import
+     */
+    setupSaveStates(container) {
+      const saveStates = document.createElement('div');
+      saveStates.className = 'save-states';
+      
+      const heading = document.createElement('strong');
+      heading.textContent = 'Save States';
+      saveStates.appendChild(heading);
+      
+      // One row per slot: label, Save and Load
+      this.saveSlotLabels = [];
+      for (let slot = 1; slot <= this.saveSlotCount; slot++) {
+        const slotRow = document.createElement('div');
+        slotRow.className = 'save-slot';
+        
+        const slotLabel = document.createElement('span');
+        slotRow.appendChild(slotLabel);
+        this.saveSlotLabels[slot] = slotLabel;
+        
+        const saveButton = document.createElement('button');
+        saveButton.textContent = 'Save';
+        saveButton.addEventListener('click', () => this.saveToSlot(slot));
+        slotRow.appendChild(saveButton);
+        
+        const loadButton = document.createElement('button');
+        loadButton.textContent = 'Load';
+        loadButton.addEventListener('click', () => this.loadFromSlot(slot));
+        slotRow.appendChild(loadButton);
+        
+        saveStates.appendChild(slotRow);
+      }
+      
+      // Export the current state / import one from a file
+      const fileRow = document.createElement('div');
+      fileRow.className = 'save-slot';
+      
+      const exportButton = document.createElement('button');
+      exportButton.textContent = 'Export State';
+      exportButton.addEventListener('click', () => this.exportState());
+      fileRow.appendChild(exportButton);
+      
+      const importInput = document.createElement('input');
+      importInput.type = 'file';
+      importInput.id = 'state-file';
+      importInput.accept = '.json,application/json';
+      importInput.addEventListener('change', (e) => this.importState(e));
+      
+      const importLabel = document.createElement('label');
+      importLabel.htmlFor = 'state-file';
+      importLabel.textContent = 'Import State';
+      
+      fileRow.appendChild(importLabel);
+      fileRow.appendChild(importInput);
+      saveStates.appendChild(fileRow);
+      
+      // Why the last save, load or import failed
+      this.saveStateStatus = document.createElement('div');
+      this.saveStateStatus.className = 'save-state-status';
+      saveStates.appendChild(this.saveStateStatus);
+      
+      container.appendChild(saveStates);
+      this.updateSaveSlots();
+    }
+  
+    /**
+     * localStorage key for a save slot
+     */
+    getSaveSlotKey(slot) {
+      return `chip8-debugger-save-slot-${slot}`;
+    }
+  
+    /**
+     * Show when each slot was last saved
+     */
+    updateSaveSlots() {
+      for (let slot = 1; slot <= this.saveSlotCount; slot++) {
+        const saved = localStorage.getItem(this.getSaveSlotKey(slot));
+        let savedAt = 'empty';
+        if (saved) {
+          try {
+            savedAt = new Date(JSON.parse(saved).savedAt).toLocaleString();
+          } catch (error) {
+            savedAt = 'unreadable';
+          }
+        }
+        this.saveSlotLabels[slot].textContent = `Slot ${slot}: ${savedAt}`;
+      }
+    }
+  
+    /**
+     * Save the current machine state into a slot
+     */
+    saveToSlot(slot) {
+      const saved = { savedAt: Date.now(), state: this.chip8.saveState() };
+      
+      try {
+        localStorage.setItem(this.getSaveSlotKey(slot), JSON.stringify(saved));
+      } catch (error) {
+        this.saveStateStatus.textContent = `Could not save slot ${slot}: ${error.message}`;
+        return;
+      }
+      
+      this.saveStateStatus.textContent = '';
+      this.updateSaveSlots();
+    }
+  
+    /**
+     * Restore the machine state stored in a slot
+     */
+    loadFromSlot(slot) {
+      const saved = localStorage.getItem(this.getSaveSlotKey(slot));
+      if (!saved) return;
+      
+      let state;
+      try {
+        state = JSON.parse(saved).state;
+      } catch (error) {
+        this.saveStateStatus.textContent = `Could not read slot ${slot}: ${error.message}`;
+        return;
+      }
+      this.restoreState(state);
+    }
+  
+    /**
+     * Download the current machine state as a JSON file
+     */
+    exportState() {
+      const state = JSON.stringify(this.chip8.saveState());
+      this.downloadFile('chip8-state.json', state, 'application/json');
+    }
+  
+    /**
+     * Restore the machine state from a JSON file
+     */
+    importState(event) {
+      const file = event.target.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      
+      reader.onload = (e) => {
+        try {
+          this.restoreState(JSON.parse(e.target.result));
+        } catch (error) {
+          this.saveStateStatus.textContent = `Could not import ${file.name}: ${error.message}`;
+        }
+      };
+      
+      reader.readAsText(file);
+      
+      // Allow importing the same file again
+      event.target.value = '';
+    }
+  
+    /**
+     * Restore a snapshot and refresh every view
+     */
+    restoreState(state) {
+      if (this.running) {
+        this.toggleRun(); // Stop execution if running
+      }
+      
+      try {
+        this.chip8.loadState(state);
+      } catch (error) {
+        this.saveStateStatus.textContent = error.message;
+        return;
+      }
+      this.saveStateStatus.textContent = '';
+      this.history.clear();
+      this.trace.clear();
+      this.drawInspector.clear();
+      this.memoryWriters.clear();
+      this.traceDivergence = null;
+      this.breakpoints.checkOnNextRun();
+      
+      this.xoChipCheckbox.checked = this.chip8.xoChip;
+      this.updateQuirksControl();
+      this.analyzeROM(true);
+      this.updateUI();
+      this.updateDisplay();
+      this.chip8.drawFlag = false;
+    }
+  
+    /**
+     * Offer some content to the user as a file download
+     */
+    downloadFile(filename, content, type) {
+      const blob = content instanceof Blob ? content : new Blob([content], { type });
+      const url = URL.createObjectURL(blob);
+      
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      
+      // Give the browser a moment to start the download before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+  
+    /**
+     * Create the whole-ROM disassembly section
+     */
+    setupDisassemblyPanel() {
+      const disassemblySection = document.createElement('section');
+      disassemblySection.className = 'disassembly-section';
+      document.body.appendChild(disassemblySection);
+      
+      const heading = document.createElement('h2');
+      heading.textContent = 'Disassembly';
+      disassemblySection.appendChild(heading);
+      
+      const controls = document.createElement('div');
+      controls.className = 'disassembly-controls';
+      disassemblySection.appendChild(controls);
+      
+      // Re-run the analysis, e.g. after the program modified itself
+      const analyzeButton = document.createElement('button');
+      analyzeButton.textContent = 'Re-analyze';
+      analyzeButton.addEventListener('click', () => {
+        this.analyzeROM(false);
+        this.updateDisassemblyPanel();
+      });
+      controls.appendChild(analyzeButton);
+      
+      const formatLabel = document.createElement('label');
+      formatLabel.textContent = 'Data as: ';
+      this.disassemblyDataFormat = document.createElement('select');
+      [['bytes', 'Bytes'], ['sprite', 'Sprite rows']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        this.disassemblyDataFormat.appendChild(option);
+      });
+      this.disassemblyDataFormat.addEventListener('change', () => {
+        this.renderDisassembly();
+        this.updateDisassemblyPanel();
+      });
+      formatLabel.appendChild(this.disassemblyDataFormat);
+      controls.appendChild(formatLabel);
+      
+      const followLabel = document.createElement('label');
+      this.disassemblyFollowPC = document.createElement('input');
+      this.disassemblyFollowPC.type = 'checkbox';
+      this.disassemblyFollowPC.checked = true;
+      followLabel.appendChild(this.disassemblyFollowPC);
+      followLabel.appendChild(document.createTextNode(' Follow PC'));
+      controls.appendChild(followLabel);
+      
+      const exportButton = document.createElement('button');
+      exportButton.textContent = 'Export';
+      exportButton.addEventListener('click', () => {
+        if (!this.disassembly) return;
+        this.downloadFile('chip8-disassembly.asm', this.disassembler.exportText(this.disassembly, this.disassemblyDataFormat.value), 'text/plain');
+      });
+      controls.appendChild(exportButton);
+      
+      this.disassemblySummary = document.createElement('span');
+      this.disassemblySummary.className = 'disassembly-summary';
+      controls.appendChild(this.disassemblySummary);
+      
+      this.disassemblyListing = document.createElement('div');
+      this.disassemblyListing.className = 'disassembly-listing';
+      this.disassemblyListing.addEventListener('click', (e) => {
+        const reference = e.target.closest('[data-goto]');
+        const line = e.target.closest('.disassembly-line');
+        const label = e.target.closest('[data-label]');
+        if (reference) {
+          e.preventDefault();
+          this.scrollDisassemblyTo(Number(reference.dataset.goto));
+        } else if (label) {
+          this.editSymbol(Number(label.dataset.label));
+        } else if (line && e.target.closest('.run-to-cursor')) {
+          this.runToCursor(Number(line.dataset.address));
+        } else if (line && line.classList.contains('code')) {
+          this.toggleBreakpoint(Number(line.dataset.address));
+        }
+      });
+      disassemblySection.appendChild(this.disassemblyListing);
+      
+      this.setupAssembleBox(disassemblySection);
+      
+      this.setupSymbolPanel(disassemblySection);
+      
+      this.renderDisassembly();
+    }
+  
+    /**
+     * Create the symbol panel: load, export and rename the loaded ROM's symbols
+     */
+    setupSymbolPanel(container) {
+      const symbolPanel = document.createElement('div');
+      symbolPanel.className = 'symbol-panel';
+      
+      const header = document.createElement('div');
+      header.className = 'symbol-header';
+      const heading = document.createElement('strong');
+      heading.textContent = 'Symbols';
+      header.appendChild(heading);
+      
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.id = 'symbol-file';
+      fileInput.accept = '.sym,.txt,.8o,.json';
+      fileInput.addEventListener('change', (e) => this.loadSymbolFile(e));
+      const fileLabel = document.createElement('label');
+      fileLabel.htmlFor = 'symbol-file';
+      fileLabel.textContent = 'Load symbols';
+      header.appendChild(fileLabel);
+      header.appendChild(fileInput);
+      
+      const exportButton = document.createElement('button');
+      exportButton.textContent = 'Export';
+      exportButton.addEventListener('click', () => {
+        this.downloadFile(`chip8-symbols-${this.romHash || 'unsaved'}.sym`, this.symbols.exportText(), 'text/plain');
+      });
+      header.appendChild(exportButton);
+      
+      const clearButton = document.createElement('button');
+      clearButton.textContent = 'Clear';
+      clearButton.addEventListener('click', () => {
+        this.symbols.clear();
+        this.onSymbolsChanged();
+      });
+      header.appendChild(clearButton);
+      symbolPanel.appendChild(header);
+      
+      // Name an address (an empty name removes the symbol)
+      const form = document.createElement('div');
+      form.className = 'symbol-form';
+      this.symbolAddressInput = document.createElement('input');
+      this.symbolAddressInput.type = 'text';
+      this.symbolAddressInput.placeholder = 'address';
+      this.symbolNameInput = document.createElement('input');
+      this.symbolNameInput.type = 'text';
+      this.symbolNameInput.placeholder = 'name (empty to remove)';
+      const setButton = document.createElement('button');
+      setButton.textContent = 'Set';
+      const applyName = () => {
+        const address = parseInt(this.symbolAddressInput.value.trim().replace(/^(0x|\$)/i, ''), 16);
+        if (!/^(0x|\$)?[0-9a-f]+$/i.test(this.symbolAddressInput.value.trim())) {
+          this.symbolStatus.textContent = 'Enter an address in hex';
+          return;
+        }
+        const error = this.renameSymbol(address, this.symbolNameInput.value);
+        this.symbolStatus.textContent = error || '';
+        if (!error) {
+          this.symbolNameInput.value = '';
+        }
+      };
+      setButton.addEventListener('click', applyName);
+      this.symbolNameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') applyName();
+      });
+      form.appendChild(this.symbolAddressInput);
+      form.appendChild(this.symbolNameInput);
+      form.appendChild(setButton);
+      symbolPanel.appendChild(form);
+      
+      this.symbolStatus = document.createElement('div');
+      this.symbolStatus.className = 'symbol-status';
+      symbolPanel.appendChild(this.symbolStatus);
+      
+      this.symbolList = document.createElement('div');
+      this.symbolList.className = 'symbol-list';
+      this.symbolList.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-address]');
+        if (!row) return;
+        if (e.target.closest('.symbol-remove')) {
+          this.renameSymbol(Number(row.dataset.address), '');
+        } else {
+          this.editSymbol(Number(row.dataset.address));
+        }
+      });
+      symbolPanel.appendChild(this.symbolList);
+      this.renderSymbolList();
+      
+      container.appendChild(symbolPanel);
+    }
+  
+    /**
+     * List the symbols of the loaded ROM
+     */
+    renderSymbolList() {
+      const symbols = this.symbols.list();
+      this.symbolList.innerHTML = symbols.length
+        ? symbols.map(({ address, name }) => `<div class="symbol-row" data-address="${address}" title="Click to rename">` +
+            `<span class="symbol-address">0x${address.toString(16).padStart(4, '0')}</span> ${name} ` +
+            '<button class="symbol-remove" title="Remove">&#10005;</button></div>').join('')
+        : '<div class="symbol-empty">No symbols. Load a symbol file, or click a label in the disassembly to name it.</div>';
+    }
+  
+    /**
+     * Put a symbol in the rename form
+     */
+    editSymbol(address) {
+      const name = this.symbols.get(address) || (this.disassembly && this.disassembly.labels.get(address)) || '';
+      this.symbolAddressInput.value = `0x${address.toString(16).padStart(4, '0')}`;
+      this.symbolNameInput.value = name;
+      this.symbolNameInput.focus();
+      this.symbolNameInput.select();
+    }
+  
+    /**
+     * Name an address, or remove its name with an empty one. Returns an error message, or null.
+     */
+    renameSymbol(address, name) {
+      try {
+        this.symbols.set(address, name);
+      } catch (error) {
+        return error.message;
+      }
+      this.onSymbolsChanged();
+      return null;
+    }
+  
+    /**
+     * Add the symbols of a symbol file
+     */
+    loadSymbolFile(event) {
+      const file = event.target.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        const { added, errors } = this.symbols.load(e.target.result);
+        const problems = errors.map(error => `${error.line ? `Line ${error.line}: ` : ''}${error.message}`);
+        this.symbolStatus.textContent = [`Loaded ${added} symbol${added === 1 ? '' : 's'} from ${file.name}`, ...problems].join('; ');
+        this.onSymbolsChanged();
+      };
+      reader.readAsText(file);
+      event.target.value = '';
+    }
+  
+    getSymbolStorageKey() {
+      return `chip8-debugger-symbols-${this.romHash}`;
+    }
+  
+    /**
+     * Switch to the stored symbols of the loaded ROM
+     */
+    loadStoredSymbols() {
+      let stored = null;
+      try {
+        stored = JSON.parse(localStorage.getItem(this.getSymbolStorageKey()));
+      } catch (error) {
+        console.warn(`Could not read the stored symbols: ${error.message}`);
+      }
+      this.symbols.fromJSON(stored);
+      this.renderSymbolList();
+    }
+  
+    /**
+     * Store the symbols of the loaded ROM, then show the new names everywhere
+     */
+    onSymbolsChanged() {
+      if (this.romHash) {
+        try {
+          if (this.symbols.size) {
+            localStorage.setItem(this.getSymbolStorageKey(), JSON.stringify(this.symbols));
+          } else {
+            localStorage.removeItem(this.getSymbolStorageKey());
+          }
+        } catch (error) {
+          this.symbolStatus.textContent = `Could not store the symbols: ${error.message}`;
+        }
+      }
+      
+      this.renderSymbolList();
+      this.analyzeROM(false);
+      this.renderBreakpointList();
+      this.updateMemoryGridSymbols();
+      this.updateUI();
+    }
+  
+    /**
+     * Tooltip text for a memory grid byte: its address, value in every format,
+     * memory map region and the instruction that last wrote it
+     */
+    describeMemoryByte(address) {
+      const hex = (value, width) => value.toString(16).padStart(width, '0');
+      const value = this.chip8.memory[address];
+      const region = this.chip8.getMemoryRegion(address);
+      const regionNames = { font: 'Font', reserved: 'Reserved (interpreter)', rom: 'ROM', free: 'Free RAM' };
+      const symbol = this.symbols.get(address);
+      const writer = this.memoryWriters.get(address);
+      
+      return [
+        `Address: 0x${hex(address, 4)}${symbol ? ` (${symbol})` : ''}`,
+        `Value: 0x${hex(value, 2)} = ${value} = 0b${value.toString(2).padStart(8, '0')} = ${value >= 0x20 && value < 0x7F ? `'${String.fromCharCode(value)}'` : 'not printable'}`,
+        `Region: ${regionNames[region.name]} (0x${hex(region.start, 4)}-0x${hex(region.end, 4)})`,
+        writer
+          ? `Last written by: 0x${hex(writer.pc, 4)} ${this.chip8.disassembleInstruction(writer.opcode, (this.chip8.memory[writer.pc + 2] << 8) | this.chip8.memory[writer.pc + 3])}`
+          : 'Not written by the program'
+      ].join('\n');
+    }
+  
+    /**
+     * Name the memory grid's address cells (in their tooltips) after the symbols in their rows
+     */
+    updateMemoryGridSymbols() {
+      const addressCells = document.querySelectorAll('#memory-grid .address-cell');
+      const symbols = this.symbols.list();
+      
+      addressCells.forEach((cell) => {
+        const start = Number(cell.id);
+        const end = start + Number(cell.dataset.columns);
+        const names = symbols
+          .filter(({ address }) => address >= start && address < end)
+          .map(({ address, name }) => `0x${address.toString(16).padStart(4, '0')} ${name}`);
+        cell.title = names.join('\n');
+        cell.classList.toggle('has-symbol', names.length > 0);
+      });
+      
+      document.querySelectorAll('#memory-grid div[data-address]').forEach((cell) => {
+        const name = this.symbols.get(Number(cell.dataset.address));
+        cell.title = name || '';
+        cell.classList.toggle('has-symbol', name !== null);
+      });
+    }
+  
+    /**
+     * Create the "assemble at address" box for patching memory while paused
+     */
+    setupAssembleBox(container) {
+      const assembleBox = document.createElement('div');
+      assembleBox.className = 'assemble-box';
+      
+      const addressLabel = document.createElement('label');
+      addressLabel.htmlFor = 'assemble-address';
+      addressLabel.textContent = 'Assemble at: ';
+      const addressInput = document.createElement('input');
+      addressInput.type = 'text';
+      addressInput.id = 'assemble-address';
+      addressInput.placeholder = 'PC';
+      addressLabel.appendChild(addressInput);
+      assembleBox.appendChild(addressLabel);
+      
+      const sourceInput = document.createElement('textarea');
+      sourceInput.className = 'assemble-source';
+      sourceInput.rows = 4;
+      sourceInput.placeholder = 'e.g.\nLD V0, 10\nJP start';
+      assembleBox.appendChild(sourceInput);
+      
+      const assembleButton = document.createElement('button');
+      assembleButton.textContent = 'Assemble';
+      assembleButton.title = 'Patch the code into memory (Step Back undoes the patch)';
+      assembleButton.addEventListener('click', () => {
+        const addressText = addressInput.value.trim();
+        if (addressText !== '' && !/^(0x)?[0-9a-f]+$/i.test(addressText)) {
+          this.assembleStatus.textContent = `Invalid address "${addressText}"`;
+          return;
+        }
+        const address = addressText === '' ? this.chip8.pc : parseInt(addressText, 16);
+        this.assembleAt(address, sourceInput.value);
+      });
+      assembleBox.appendChild(assembleButton);
+      
+      this.assembleStatus = document.createElement('div');
+      this.assembleStatus.className = 'assemble-status';
+      assembleBox.appendChild(this.assembleStatus);
+      
+      container.appendChild(assembleBox);
+    }
+  
+    /**
+     * Assemble source at an address and patch it into memory (only while paused).
+     * The ROM's disassembly labels can be used in the source. Returns whether memory was patched.
+     */
+    assembleAt(address, source) {
+      if (this.running) {
+        this.assembleStatus.textContent = 'Pause the program before patching memory';
+        return false;
+      }
+      
+      const symbols = new Map();
+      if (this.disassembly) {
+        this.disassembly.labels.forEach((name, labelAddress) => symbols.set(name, labelAddress));
+      }
+      
+      const result = Assembler.assemble(source, { origin: address, symbols });
+      const memorySize = this.chip8.memory.length;
+      result.segments.forEach(({ address: start, bytes }) => {
+        if (start + bytes.length > memorySize) {
+          result.errors.push({ line: 0, message: `Code at 0x${start.toString(16)} runs past the end of memory` });
+        }
+      });
+      
+      if (result.errors.length) {
+        this.assembleStatus.innerHTML = result.errors
+          .map(error => `<div class="assemble-error">${error.line ? `Line ${error.line}: ` : ''}${error.message.replace(/</g, '&lt;')}</div>`)
+          .join('');
+        return false;
+      }
+      
+      // Recorded in the execution history, so Step Back undoes the patch
+      let patched = 0;
+      const patch = (journal) => {
+        result.segments.forEach(({ address: start, bytes }) => {
+          bytes.forEach((byte, offset) => {
+            journal.memory.push(start + offset, this.chip8.memory[start + offset]);
+            this.chip8.memory[start + offset] = byte;
+          });
+          patched += bytes.length;
+          
+          // Patching past the end of the ROM extends it, so the disassembly covers the new code
+          const romEnd = 0x200 + this.chip8.romSize;
+          if (start <= romEnd && start + bytes.length > romEnd) {
+            this.chip8.romSize = start + bytes.length - 0x200;
+          }
+        });
+      };
+      if (result.segments.some(({ bytes }) => bytes.length > 0)) {
+        this.history.recordEdit(patch);
+      }
+      
+      const ranges = result.segments.map(({ address: start, bytes }) =>
+        `0x${start.toString(16).padStart(4, '0')}-0x${(start + bytes.length - 1).toString(16).padStart(4, '0')}`);
+      this.assembleStatus.textContent = patched ? `Patched ${patched} byte${patched === 1 ? '' : 's'} at ${ranges.join(', ')}` : 'Nothing to assemble';
+      
+      this.analyzeROM(false);
+      this.updateUI();
+      return patched > 0;
+    }
+  
+    /**
+     * Disassemble the loaded ROM by following its control flow. A fresh analysis
+     * (new ROM or state) forgets the entry points discovered at run time.
+     */
+    analyzeROM(fresh) {
+      if (fresh) {
+        this.disassemblyEntryPoints.clear();
+      }
+      
+      this.disassembly = this.chip8.romSize > 0
+        ? this.disassembler.analyze({ entryPoints: [...this.disassemblyEntryPoints] })
+        : null;
+      this.updateAddressNames();
+      this.renderDisassembly();
+    }
+  
+    /**
+     * Build the listing rows
+     */
+    renderDisassembly() {
+      if (!this.disassemblyListing) return;
+      
+      this.disassemblyRows.clear();
+      this.disassemblyPCRow = null;
+      
+      const listing = this.disassembly;
+      if (!listing) {
+        this.disassemblyListing.innerHTML = '<div class="disassembly-empty">No ROM loaded</div>';
+        this.disassemblySummary.textContent = '';
+        return;
+      }
+      
+      const hex = (value, width) => value.toString(16).padStart(width, '0');
+      const spriteRows = this.disassemblyDataFormat.value === 'sprite';
+      let html = '';
+      let codeBytes = 0;
+      
+      listing.lines.forEach((line) => {
+        if (line.label) {
+          const references = line.xrefs
+            .map(xref => `<a href="#" data-goto="${xref.from}" title="${xref.type}">0x${hex(xref.from, 4)}</a>`)
+            .join(' ');
+          html += `<div class="disassembly-label" data-label="${line.address}" title="Click to rename">${line.label}:` +
+            (references ? ` <span class="disassembly-xrefs">&#8592; ${references}</span>` : '') + '</div>';
+        }
+        
+        if (line.type === 'code') {
+          codeBytes += line.length;
+          const breakpoint = this.breakpoints.get(line.address);
+          const classes = ['disassembly-line', 'code', breakpoint ? (breakpoint.enabled ? 'breakpoint' : 'breakpoint-disabled') : ''];
+          html += `<div class="${classes.join(' ').trim()}" data-address="${line.address}" title="Click to toggle a breakpoint">` +
+            `<span class="breakpoint-marker">${breakpoint ? '&#9679;' : '&nbsp;'}</span>` +
+            `<span class="disassembly-address">${hex(line.address, 4)}</span>` +
+            `<span class="disassembly-bytes">${Array.from(line.bytes, byte => hex(byte, 2)).join('')}</span>` +
+            `<span class="disassembly-text">${line.text}</span>` +
+            `<span class="run-to-cursor" title="Run to here">&#8677;</span></div>`;
+        } else if (spriteRows) {
+          line.bytes.forEach((byte, offset) => {
+            html += `<div class="disassembly-line data" data-address="${line.address + offset}">` +
+              `<span class="breakpoint-marker">&nbsp;</span>` +
+              `<span class="disassembly-address">${hex(line.address + offset, 4)}</span>` +
+              `<span class="disassembly-bytes">${hex(byte, 2)}</span>` +
+              `<span class="disassembly-text">${Disassembler.formatData([byte])}</span>` +
+              `<span class="disassembly-sprite">${Disassembler.formatSpriteRow(byte)}</span></div>`;
+          });
+        } else {
+          html += `<div class="disassembly-line data" data-address="${line.address}">` +
+            `<span class="breakpoint-marker">&nbsp;</span>` +
+            `<span class="disassembly-address">${hex(line.address, 4)}</span>` +
+            `<span class="disassembly-bytes"></span>` +
+            `<span class="disassembly-text">${Disassembler.formatData(line.bytes)}</span></div>`;
+        }
+      });
+      
+      this.disassemblyListing.innerHTML = html;
+      this.disassemblyListing.querySelectorAll('.disassembly-line').forEach((row) => {
+        this.disassemblyRows.set(Number(row.dataset.address), row);
+      });
+      
+      const dataBytes = (listing.end - listing.start) - codeBytes;
+      this.disassemblySummary.textContent = `${listing.instructions.size} instructions, ${dataBytes} data bytes, ${listing.labels.size} labels`;
+    }
+  
+    /**
+     * Highlight the row at PC (finding new code if PC went somewhere not yet known
+     * as code, such as the target of a computed jump) and keep it in view
+     */
+    updateDisassemblyPanel() {
+      const listing = this.disassembly;
+      if (!listing) return;
+      
+      const pc = this.chip8.pc;
+      const inROM = pc >= listing.start && pc < listing.end;
+      if (inROM && !listing.instructions.has(pc) && !this.disassemblyEntryPoints.has(pc) && !this.chip8.halted) {
+        this.disassemblyEntryPoints.add(pc);
+        this.analyzeROM(false);
+      }
+      
+      const row = this.disassemblyRows.get(pc) || null;
+      if (row === this.disassemblyPCRow) return;
+      
+      if (this.disassemblyPCRow) {
+        this.disassemblyPCRow.classList.remove('current-pc');
+      }
+      this.disassemblyPCRow = row;
+      if (row) {
+        row.classList.add('current-pc');
+        if (this.disassemblyFollowPC.checked) {
+          this.scrollDisassemblyTo(pc);
+        }
+      }
+    }
+  
+    /**
+     * Scroll the listing to the row at an address
+     */
+    scrollDisassemblyTo(address) {
+      const row = this.disassemblyRows.get(address);
+      if (!row) return;
+      
+      // Scroll the listing only, not the page (the listing is the rows' offset parent)
+      const listing = this.disassemblyListing;
+      const top = row.offsetTop;
+      if (top < listing.scrollTop || top + row.offsetHeight > listing.scrollTop + listing.clientHeight) {
+        listing.scrollTop = top - listing.clientHeight / 2;
+      }
+    }
+  
+    /**
+     * Set up the execution trace panel
+     */
+    setupTracePanel() {
+      const traceSection = document.createElement('section');
+      traceSection.className = 'trace-section';
+      document.body.appendChild(traceSection);
+      
+      const heading = document.createElement('h2');
+      heading.textContent = 'Execution Trace';
+      traceSection.appendChild(heading);
+      
+      const controls = document.createElement('div');
+      controls.className = 'trace-controls';
+      traceSection.appendChild(controls);
+      
+      // Recording toggle
+      const recordLabel = document.createElement('label');
+      const recordCheckbox = document.createElement('input');
+      recordCheckbox.type = 'checkbox';
+      recordCheckbox.addEventListener('change', (e) => {
+        if (e.target.checked) {
+          this.trace.start();
+        } else {
+          this.trace.stop();
+        }
+      });
+      recordLabel.appendChild(recordCheckbox);
+      recordLabel.appendChild(document.createTextNode(' Record'));
+      controls.appendChild(recordLabel);
+      
+      const clearButton = document.createElement('button');
+      clearButton.textContent = 'Clear';
+      clearButton.addEventListener('click', () => {
+        this.trace.clear();
+        this.traceDivergence = null;
+        this.traceStatus.textContent = '';
+        this.updateTracePanel();
+      });
+      controls.appendChild(clearButton);
+      
+      const exportTextButton = document.createElement('button');
+      exportTextButton.textContent = 'Export Text';
+      exportTextButton.addEventListener('click', () => {
+        this.downloadFile('chip8-trace.txt', this.trace.exportText(), 'text/plain');
+      });
+      controls.appendChild(exportTextButton);
+      
+      const exportCSVButton = document.createElement('button');
+      exportCSVButton.textContent = 'Export CSV';
+      exportCSVButton.addEventListener('click', () => {
+        this.downloadFile('chip8-trace.csv', this.trace.exportCSV(), 'text/csv');
+      });
+      controls.appendChild(exportCSVButton);
+      
+      // Reference trace for diffing
+      const referenceInput = document.createElement('input');
+      referenceInput.type = 'file';
+      referenceInput.id = 'trace-reference-file';
+      referenceInput.addEventListener('change', (e) => this.loadReferenceTrace(e));
+      
+      const referenceLabel = document.createElement('label');
+      referenceLabel.htmlFor = 'trace-reference-file';
+      referenceLabel.textContent = 'Compare Reference';
+      controls.appendChild(referenceLabel);
+      controls.appendChild(referenceInput);
+      
+      // Filter
+      this.traceFilter = document.createElement('input');
+      this.traceFilter.type = 'text';
+      this.traceFilter.placeholder = 'filter (e.g. DRW, 0x02a4, VF)';
+      this.traceFilter.addEventListener('input', () => this.updateTracePanel());
+      controls.appendChild(this.traceFilter);
+      
+      this.traceStatus = document.createElement('div');
+      this.traceStatus.className = 'trace-status';
+      traceSection.appendChild(this.traceStatus);
+      
+      // Only the rows in view are rendered, positioned inside a spacer as tall as the whole list
+      this.traceList = document.createElement('div');
+      this.traceList.className = 'trace-list';
+      this.traceList.addEventListener('scroll', () => this.renderTraceRows());
+      traceSection.appendChild(this.traceList);
+      
+      this.traceSpacer = document.createElement('div');
+      this.traceSpacer.className = 'trace-spacer';
+      this.traceList.appendChild(this.traceSpacer);
+    }
+  
+    /**
+     * Bring the trace panel up to date with the recorded entries. New entries
+     * only scroll into view while the newest row is shown.
+     */
+    updateTracePanel() {
+      const filter = this.traceFilter.value.trim().toLowerCase();
+      const entries = this.trace.entries;
+      let view = this.traceView;
+      
+      // A new filter or divergence (or a cleared trace) starts the matching over
+      const changed = !view || view.filter !== filter || view.divergence !== this.traceDivergence || view.entries !== entries;
+      if (!changed && view.count === this.trace.count) return;
+      
+      const list = this.traceList;
+      const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - this.traceRowHeight;
+      if (!changed && !atBottom) return;
+      
+      if (changed) {
+        view = this.traceView = {
+          filter,
+          divergence: this.traceDivergence,
+          entries,
+          count: 0,
+          matches: filter ? [] : null,  // Indices of the matching entries (every entry without a filter)
+          firstRow: 0,
+          lastRow: -1
+        };
+      }
+      
+      // Match only the entries recorded since the last update
+      if (view.matches) {
+        const first = entries.length ? entries[0].index : 0;
+        const dropped = view.matches.findIndex(index => index >= first);
+        view.matches.splice(0, dropped === -1 ? view.matches.length : dropped);
+        
+        for (let e = Math.max(0, view.count - first); e < entries.length; e++) {
+          const entry = entries[e];
+          if (entry.index === this.traceDivergence || this.trace.formatEntry(entry).toLowerCase().includes(filter)) {
+            view.matches.push(entry.index);
+          }
+        }
+      }
+      view.count = this.trace.count;
+      
+      this.traceSpacer.style.height = `${this.getTraceRowCount() * this.traceRowHeight}px`;
+      
+      // Keep the newest entry in view unless a divergence is being shown
+      if (this.traceDivergence === null) {
+        list.scrollTop = list.scrollHeight;
+      }
+      this.renderTraceRows(true);
+    }
+    
+    /**
+     * Number of rows in the trace panel
+     */
+    getTraceRowCount() {
+      const view = this.traceView;
+      return view.matches ? view.matches.length : view.entries.length;
+    }
+    
+    /**
+     * The trace entry shown in a row of the trace panel
+     */
+    getTraceRowEntry(row) {
+      const view = this.traceView;
+      if (!view.matches) return view.entries[row];
+      return view.entries[view.matches[row] - view.entries[0].index];
+    }
+    
+    /**
+     * Render the trace rows in view (plus the overscan)
+     */
+    renderTraceRows(force = false) {
+      const view = this.traceView;
+      if (!view) return;
+      
+      const rowCount = this.getTraceRowCount();
+      const visibleRows = Math.ceil((this.traceList.clientHeight || 200) / this.traceRowHeight);
+      const firstRow = Math.max(0, Math.floor(this.traceList.scrollTop / this.traceRowHeight) - this.traceOverscan);
+      const lastRow = Math.min(rowCount - 1, firstRow + visibleRows + 2 * this.traceOverscan);
+      if (!force && firstRow === view.firstRow && lastRow === view.lastRow) return;
+      
+      let html = '';
+      for (let row = firstRow; row <= lastRow; row++) {
+        const entry = this.getTraceRowEntry(row);
+        const divergenceClass = entry.index === this.traceDivergence ? ' trace-divergence' : '';
+        const line = this.trace.formatEntry(entry).replace(/\t/g, '  ');
+        html += `<div class="trace-row${divergenceClass}" data-index="${entry.index}" style="top: ${row * this.traceRowHeight}px">${line}</div>`;
+      }
+      this.traceSpacer.innerHTML = html;
+      
+      view.firstRow = firstRow;
+      view.lastRow = lastRow;
+    }
+    
+    /**
+     * Scroll the trace panel so an entry is in the middle of the view
+     */
+    scrollTraceToEntry(index) {
+      const view = this.traceView;
+      let row = -1;
+      if (view.matches) {
+        row = view.matches.indexOf(index);
+      } else if (view.entries.length) {
+        row = index - view.entries[0].index;
+      }
+      if (row < 0 || row >= this.getTraceRowCount()) return;
+      
+      this.traceList.scrollTop = row * this.traceRowHeight - (this.traceList.clientHeight - this.traceRowHeight) / 2;
+      this.renderTraceRows();
+    }
+  
+    /**
+     * Set up the profiler panel: hot spots, subroutines and busy-wait loops
+     */
+    setupProfilerPanel() {
+      const profilerSection = document.createElement('section');
+      profilerSection.className = 'profiler-section';
+      document.body.appendChild(profilerSection);
+      
+      const heading = document.createElement('h2');
+      heading.textContent = 'Profiler';
+      profilerSection.appendChild(heading);
+      
+      const controls = document.createElement('div');
+      controls.className = 'profiler-controls';
+      profilerSection.appendChild(controls);
+      
+      const toggleButton = document.createElement('button');
+      toggleButton.textContent = 'Start';
+      toggleButton.addEventListener('click', () => {
+        if (this.profiler.profiling) {
+          this.profiler.pause();
+        } else {
+          this.profiler.start();
+        }
+        toggleButton.textContent = this.profiler.profiling ? 'Pause' : 'Start';
+        this.updateProfilerPanel(true);
+      });
+      controls.appendChild(toggleButton);
+      
+      const resetButton = document.createElement('button');
+      resetButton.textContent = 'Reset';
+      resetButton.addEventListener('click', () => {
+        this.profiler.reset();
+        this.updateProfilerPanel(true);
+      });
+      controls.appendChild(resetButton);
+      
+      const exportButton = document.createElement('button');
+      exportButton.textContent = 'Export';
+      exportButton.addEventListener('click', () => {
+        this.downloadFile('chip8-profile.json', this.profiler.exportJSON(), 'application/json');
+      });
+      controls.appendChild(exportButton);
+      
+      const heatMapLabel = document.createElement('label');
+      this.profilerHeatMap = document.createElement('input');
+      this.profilerHeatMap.type = 'checkbox';
+      this.profilerHeatMap.addEventListener('change', () => this.updateMemoryGridHeatMap());
+      heatMapLabel.appendChild(this.profilerHeatMap);
+      heatMapLabel.appendChild(document.createTextNode(' Heat map on memory grid'));
+      controls.appendChild(heatMapLabel);
+      
+      this.profilerSummary = document.createElement('div');
+      this.profilerSummary.className = 'profiler-summary';
+      profilerSection.appendChild(this.profilerSummary);
+      
+      // One sortable table per view; clicking a header sorts by that column
+      const tables = [
+        ['addresses', 'Hot spots'],
+        ['subroutines', 'Subroutines'],
+        ['busyWaits', 'Delay timer busy-waits']
+      ];
+      this.profilerTables = {};
+      tables.forEach(([name, title]) => {
+        const tableHeading = document.createElement('h3');
+        tableHeading.textContent = title;
+        profilerSection.appendChild(tableHeading);
+        
+        const table = document.createElement('table');
+        table.className = 'profiler-table';
+        table.addEventListener('click', (e) => {
+          const header = e.target.closest('th[data-key]');
+          if (!header) return;
+          const sort = this.profilerSort[name];
+          sort.descending = sort.key === header.dataset.key ? !sort.descending : true;
+          sort.key = header.dataset.key;
+          this.updateProfilerPanel(true);
+        });
+        profilerSection.appendChild(table);
+        this.profilerTables[name] = table;
+      });
+      
+      this.updateProfilerPanel(true);
+    }
+  
+    /**
+     * Show the profile (at most every profilerRefreshInterval while running, unless forced)
+     */
+    updateProfilerPanel(force = false) {
+      const now = Scheduler.now();
+      if (!force && (this.running && now - this.lastProfilerRefresh < this.profilerRefreshInterval)) return;
+      this.lastProfilerRefresh = now;
+      
+      const report = this.profiler.report();
+      const hex = (address) => `0x${address.toString(16).padStart(4, '0')}`;
+      const percent = (value) => `${value.toFixed(1)}%`;
+      const name = (address) => (address === PROFILER_TOP_LEVEL ? '(top level)' : this.formatAddressName(address));
+      const instruction = (address) => {
+        const memory = this.chip8.memory;
+        return this.chip8.disassembleInstruction((memory[address] << 8) | memory[address + 1], (memory[address + 2] << 8) | memory[address + 3]);
+      };
+      
+      const frames = report.frames;
+      this.profilerSummary.textContent = `${this.profiler.profiling ? 'Profiling' : 'Paused'}: ${report.total} instructions` +
+        (frames.count ? `, ${frames.average.toFixed(1)} per frame (${frames.min}-${frames.max}) over ${frames.count} frames` : '');
+      
+      this.renderProfileTable('addresses', report.addresses, [
+        { key: 'address', title: 'Address', format: name },
+        { key: 'instruction', title: 'Instruction', format: (value, row) => instruction(row.address), sortable: false },
+        { key: 'count', title: 'Executions' },
+        { key: 'percent', title: '%', format: percent }
+      ]);
+      this.renderProfileTable('subroutines', report.subroutines, [
+        { key: 'address', title: 'Subroutine', format: name },
+        { key: 'calls', title: 'Calls' },
+        { key: 'inclusive', title: 'Inclusive' },
+        { key: 'inclusivePercent', title: '%', format: percent },
+        { key: 'exclusive', title: 'Exclusive' },
+        { key: 'exclusivePercent', title: '%', format: percent }
+      ]);
+      this.renderProfileTable('busyWaits', report.busyWaits, [
+        { key: 'address', title: 'Poll (LD Vx, DT)', format: (address) => hex(address) },
+        { key: 'polls', title: 'Polls' },
+        { key: 'instructions', title: 'Instructions waiting' },
+        { key: 'percent', title: '%', format: percent }
+      ]);
+      
+      this.updateMemoryGridHeatMap();
+    }
+  
+    /**
+     * Render the top rows of a profile table, sorted by its chosen column
+     */
+    renderProfileTable(name, rows, columns) {
+      const sort = this.profilerSort[name];
+      const sorted = rows.slice().sort((a, b) => (sort.descending ? b[sort.key] - a[sort.key] : a[sort.key] - b[sort.key]));
+      
+      const headers = columns.map(column => {
+        if (column.sortable === false) return `<th>${column.title}</th>`;
+        const arrow = column.key === sort.key ? (sort.descending ? ' &#9660;' : ' &#9650;') : '';
+        return `<th data-key="${column.key}">${column.title}${arrow}</th>`;
+      }).join('');
+      
+      const body = sorted.slice(0, this.profilerRowLimit).map(row => '<tr>' + columns.map(column => {
+        const value = row[column.key];
+        return `<td>${column.format ? column.format(value, row) : value}</td>`;
+      }).join('') + '</tr>').join('');
+      
+      this.profilerTables[name].innerHTML = `<thead><tr>${headers}</tr></thead><tbody>` +
+        (body || `<tr><td colspan="${columns.length}" class="profiler-empty">Nothing recorded</td></tr>`) + '</tbody>';
+    }
+  
+    /**
+     * Shade the memory grid's bytes by how often the instructions there ran
+     * (on a log scale, so rarely run code still shows)
+     */
+    updateMemoryGridHeatMap() {
+      const counts = this.profiler.counts;
+      const enabled = this.profilerHeatMap && this.profilerHeatMap.checked && counts.size > 0;
+      const max = enabled ? Math.log(Math.max(...counts.values()) + 1) : 0;
+      
+      document.querySelectorAll('#memory-grid div[data-address]').forEach((cell) => {
+        const address = Number(cell.dataset.address);
+        // An instruction covers its first byte and the one after it
+        const count = enabled ? (counts.get(address) || counts.get(address - 1) || 0) : 0;
+        cell.classList.toggle('heat', count > 0);
+        if (count > 0) {
+          cell.style.setProperty('--heat', (0.15 + 0.85 * Math.log(count + 1) / max).toFixed(2));
+        } else {
+          cell.style.removeProperty('--heat');
+        }
+      });
+    }
+  
+    /**
+     * Load a reference trace and jump to the first instruction that differs
+     */
+    loadReferenceTrace(event) {
+      const file = event.target.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      
+      reader.onload = (e) => {
+        let reference;
+        try {
+          reference = TraceRecorder.parseReference(e.target.result);
+        } catch (error) {
+          this.traceStatus.textContent = `Could not read ${file.name}: ${error.message}`;
+          return;
+        }
+        
+        const divergence = this.trace.findDivergence(reference);
+        if (!divergence) {
+          this.traceDivergence = null;
+          this.traceStatus.textContent = `No divergence from ${file.name} in ${this.trace.entries.length} recorded instructions`;
+          this.updateTracePanel();
+          return;
+        }
+        
+        this.traceDivergence = divergence.entry.index;
+        this.traceStatus.textContent = `Diverges from ${file.name} at instruction ${divergence.entry.index} ` +
+          `(0x${divergence.entry.pc.toString(16).padStart(4, '0')}): ${divergence.reason}`;
+        
+        // Show the divergence among all the entries
+        this.traceFilter.value = '';
+        this.updateTracePanel();
+        this.scrollTraceToEntry(divergence.entry.index);
+      };
+      
+      reader.readAsText(file);
+      event.target.value = '';
+    }
+  
+    /**
+     * Set up keyboard and gamepad input for the CHIP-8: the on-screen keypad,
+     * the key binding editor and the input listeners
+     */
+    setupKeyboard() {
+      // CHIP-8 uses a 16-key hex keypad (0-F, laid out as CHIP8_KEY_LAYOUT);
+      // keyboard keys and gamepad inputs are mapped onto it by this.keyBindings
+  
+      // Create visual keyboard for debugging
+      const keyboardContainer = document.createElement('div');
+      keyboardContainer.className = 'keyboard-container';
+      document.body.appendChild(keyboardContainer);
+      
+      const keyboardHeading = document.createElement('h2');
+      keyboardHeading.textContent = 'CHIP-8 Keyboard';
+      keyboardContainer.appendChild(keyboardHeading);
+      
+      const keyboardGrid = document.createElement('div');
+      keyboardGrid.className = 'keyboard-grid';
+      keyboardContainer.appendChild(keyboardGrid);
+      
+      // Create visual keys, each labelled with the keyboard key bound to it
+      this.keyButtons = new Map(); // CHIP-8 key -> on-screen button
+      CHIP8_KEY_LAYOUT.flat().forEach((key) => {
+        const keyButton = document.createElement('button');
+        keyButton.className = 'key-button';
+        keyButton.textContent = key.toString(16).toUpperCase();
+        keyButton.dataset.key = key.toString(16);
+        const bindingLabel = document.createElement('span');
+        bindingLabel.className = 'key-binding-label';
+        keyButton.appendChild(bindingLabel);
+        
+        keyButton.addEventListener('mousedown', () => this.pressKey(key, 'mouse'));
+        keyButton.addEventListener('mouseup', () => this.releaseKey(key, 'mouse'));
+        keyButton.addEventListener('mouseleave', () => this.releaseKey(key, 'mouse'));
+        
+        this.keyButtons.set(key, keyButton);
+        keyboardGrid.appendChild(keyButton);
+      });
+      
+      this.setupKeyBindingEditor(keyboardContainer);
+  
+      // Handle key down events
+      // Typing into the debugger's inputs doesn't press CHIP-8 keys, and neither do shortcuts
+      const isTyping = (event) => event.target.closest && event.target.closest('input, textarea, select, [contenteditable]') !== null;
+      
+      document.addEventListener('keydown', (event) => {
+        if (this.bindingKey !== null) {
+          this.captureKeyBinding(event);
+          return;
+        }
+        if (isTyping(event) || event.ctrlKey || event.metaKey) return;
+        
+        const name = KeyBindings.keyName(event);
+        const key = this.keyBindings.lookupKey(name);
+        if (key !== undefined) {
+          this.pressKey(key, `key:${name}`);
+          
+          // Prevent default actions for these keys
+          event.preventDefault();
+        }
+      });
+  
+      // Handle key up events
+      // Releases always count, so a key held down while an input takes the focus doesn't stick
+      document.addEventListener('keyup', (event) => {
+        this.releaseSource(`key:${KeyBindings.keyName(event)}`);
+      });
+      window.addEventListener('blur', () => this.releaseAllKeys());
+      
+      // Gamepads are polled while any is connected
+      window.addEventListener('gamepadconnected', () => this.startGamepadPolling());
+      window.addEventListener('gamepaddisconnected', () => this.updateGamepadStatus());
+      
+      this.loadStoredKeyBindings();
+    }
+  
+    /**
+     * Create the key binding editor: presets, the per-ROM profile switch and a
+     * button per CHIP-8 key that waits for a new key or gamepad input
+     */
+    setupKeyBindingEditor(container) {
+      const editor = document.createElement('fieldset');
+      editor.className = 'key-bindings';
+      
+      const legend = document.createElement('legend');
+      legend.textContent = 'Key bindings';
+      editor.appendChild(legend);
+      
+      const controls = document.createElement('div');
+      controls.className = 'key-binding-controls';
+      
+      const presetSelect = document.createElement('select');
+      presetSelect.id = 'key-preset';
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'Use preset...';
+      presetSelect.appendChild(placeholder);
+      Object.entries(KEY_PRESETS).forEach(([name, preset]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = preset.name;
+        presetSelect.appendChild(option);
+      });
+      presetSelect.addEventListener('change', (e) => {
+        if (e.target.value === '') return;
+        this.keyBindings.usePreset(e.target.value);
+        e.target.value = '';
+        this.onKeyBindingsChanged();
+      });
+      controls.appendChild(presetSelect);
+      
+      const romLabel = document.createElement('label');
+      this.keyProfileCheckbox = document.createElement('input');
+      this.keyProfileCheckbox.type = 'checkbox';
+      this.keyProfileCheckbox.addEventListener('change', (e) => {
+        if (e.target.checked) {
+          // The ROM's profile starts as a copy of the current bindings
+          this.keyBindingsForROM = true;
+          this.onKeyBindingsChanged();
+        } else {
+          try {
+            localStorage.removeItem(this.getKeyBindingStorageKey(true));
+          } catch (error) {
+            console.warn(`Could not remove the stored key bindings: ${error.message}`);
+          }
+          this.loadStoredKeyBindings();
+        }
+      });
+      romLabel.appendChild(this.keyProfileCheckbox);
+      romLabel.appendChild(document.createTextNode(' For this ROM only'));
+      controls.appendChild(romLabel);
+      editor.appendChild(controls);
+      
+      this.keyBindingGrid = document.createElement('div');
+      this.keyBindingGrid.className = 'key-binding-grid';
+      this.keyBindingGrid.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-key]');
+        if (button) {
+          this.startKeyBinding(parseInt(button.dataset.key, 16));
+        }
+      });
+      editor.appendChild(this.keyBindingGrid);
+      
+      this.keyBindingStatus = document.createElement('div');
+      this.keyBindingStatus.className = 'key-binding-status';
+      editor.appendChild(this.keyBindingStatus);
+      
+      this.gamepadStatus = document.createElement('div');
+      this.gamepadStatus.className = 'key-binding-status';
+      editor.appendChild(this.gamepadStatus);
+      this.updateGamepadStatus();
+      
+      container.appendChild(editor);
+    }
+  
+    /**
+     * Show the bindings in the editor and on the keypad
+     */
+    renderKeyBindings() {
+      const describe = (names) => names.map(KeyBindings.describe).join(', ') || '-';
+      
+      this.keyBindingGrid.innerHTML = CHIP8_KEY_LAYOUT.flat().map((key) => {
+        const { keys, gamepad } = this.keyBindings.bindingsOf(key);
+        const hex = key.toString(16);
+        return `<button data-key="${hex}"${key === this.bindingKey ? ' class="binding"' : ''} title="Click, then press a key or gamepad button">` +
+          `<b>${hex.toUpperCase()}</b> ${describe(keys)}<br><small>${describe(gamepad)}</small></button>`;
+      }).join('');
+      
+      this.keyButtons.forEach((button, key) => {
+        const { keys } = this.keyBindings.bindingsOf(key);
+        button.querySelector('.key-binding-label').textContent = keys.length ? KeyBindings.describe(keys[0]) : '';
+      });
+      
+      this.keyProfileCheckbox.checked = this.keyBindingsForROM;
+      this.keyProfileCheckbox.disabled = !this.romHash;
+    }
+  
+    /**
+     * Wait for the key or gamepad input to bind to a CHIP-8 key
+     */
+    startKeyBinding(key) {
+      this.bindingKey = key;
+      this.keyBindingStatus.textContent = `Press a key or gamepad button for ${key.toString(16).toUpperCase()} ` +
+        '(Escape cancels, Delete clears)';
+      this.renderKeyBindings();
+    }
+  
+    finishKeyBinding(message) {
+      this.bindingKey = null;
+      this.keyBindingStatus.textContent = message;
+      this.onKeyBindingsChanged();
+    }
+  
+    /**
+     * Bind the key of a keydown event to the CHIP-8 key waiting for one
+     */
+    captureKeyBinding(event) {
+      event.preventDefault();
+      const key = this.bindingKey;
+      const hex = key.toString(16).toUpperCase();
+      
+      if (event.key === 'Escape') {
+        this.finishKeyBinding('');
+      } else if (event.key === 'Delete' || event.key === 'Backspace') {
+        this.keyBindings.unbind(key);
+        this.finishKeyBinding(`${hex} is no longer bound`);
+      } else if (!['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) {
+        const name = KeyBindings.keyName(event);
+        this.keyBindings.bindKey(name, key);
+        this.finishKeyBinding(`${KeyBindings.describe(name)} presses ${hex}`);
+      }
+    }
+  
+    /**
+     * Store the bindings (in the ROM's profile or the default one) and show them
+     */
+    onKeyBindingsChanged() {
+      try {
+        localStorage.setItem(this.getKeyBindingStorageKey(this.keyBindingsForROM), JSON.stringify(this.keyBindings));
+      } catch (error) {
+        this.keyBindingStatus.textContent = `Could not store the key bindings: ${error.message}`;
+      }
+      this.releaseAllKeys();
+      this.renderKeyBindings();
+    }
+  
+    /**
+     * localStorage key of the default key bindings, or of the loaded ROM's
+     */
+    getKeyBindingStorageKey(forROM) {
+      return forROM ? `chip8-debugger-keys-${this.romHash}` : 'chip8-debugger-keys';
+    }
+  
+    /**
+     * Switch to the loaded ROM's key bindings, or the default ones if it has none
+     */
+    loadStoredKeyBindings() {
+      let stored = null;
+      this.keyBindingsForROM = false;
+      try {
+        if (this.romHash) {
+          stored = JSON.parse(localStorage.getItem(this.getKeyBindingStorageKey(true)));
+          this.keyBindingsForROM = stored !== null;
+        }
+        if (stored === null) {
+          stored = JSON.parse(localStorage.getItem(this.getKeyBindingStorageKey(false)));
+        }
+      } catch (error) {
+        console.warn(`Could not read the stored key bindings: ${error.message}`);
+      }
+      
+      if (stored) {
+        this.keyBindings.fromJSON(stored);
+      } else {
+        this.keyBindings.usePreset('qwerty');
+      }
+      this.releaseAllKeys();
+      this.renderKeyBindings();
+    }
+  
+    /**
+     * Hold a CHIP-8 key down for an input source (a key, the mouse or the
+     * gamepad); the key stays down until every source holding it lets go
+     */
+    pressKey(key, source) {
+      let sources = this.heldKeys.get(key);
+      if (!sources) {
+        sources = new Set();
+        this.heldKeys.set(key, sources);
+      }
+      if (sources.has(source)) return;
+      sources.add(source);
+      
+      if (sources.size === 1) {
+        this.chip8.keyPress(key);
+        this.keyButtons.get(key).classList.add('pressed');
+      }
+    }
+  
+    releaseKey(key, source) {
+      const sources = this.heldKeys.get(key);
+      if (!sources || !sources.delete(source) || sources.size > 0) return;
+      
+      this.chip8.keyRelease(key);
+      this.keyButtons.get(key).classList.remove('pressed');
+    }
+  
+    /**
+     * Let go of every CHIP-8 key an input source holds
+     */
+    releaseSource(source) {
+      this.heldKeys.forEach((sources, key) => this.releaseKey(key, source));
+    }
+  
+    releaseAllKeys() {
+      this.heldKeys.forEach((sources, key) => {
+        [...sources].forEach(source => this.releaseKey(key, source));
+      });
+      this.gamepadInputs = new Set();
+    }
+  
+    startGamepadPolling() {
+      this.updateGamepadStatus();
+      if (!this.gamepadPolling) {
+        this.gamepadPolling = true;
+        requestAnimationFrame(() => this.pollGamepads());
+      }
+    }
+  
+    /**
+     * Read the connected gamepads once a frame: press the CHIP-8 keys their
+     * inputs are bound to, or bind a newly pressed input while the editor waits
+     */
+    pollGamepads() {
+      const gamepads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+      const inputs = new Set();
+      gamepads.forEach((gamepad) => {
+        KeyBindings.gamepadInputs(gamepad).forEach(input => inputs.add(input));
+      });
+      
+      if (this.bindingKey !== null) {
+        const input = [...inputs].find(name => !this.gamepadInputs.has(name));
+        if (input) {
+          this.keyBindings.bindGamepad(input, this.bindingKey);
+          const hex = this.bindingKey.toString(16).toUpperCase();
+          this.finishKeyBinding(`${KeyBindings.describe(input)} presses ${hex}`);
+        }
+      }
+      this.gamepadInputs = inputs;
+      
+      const held = new Set();
+      inputs.forEach((input) => {
+        if (this.keyBindings.gamepad.has(input)) held.add(this.keyBindings.gamepad.get(input));
+      });
+      for (let key = 0; key < 16; key++) {
+        if (held.has(key)) {
+          this.pressKey(key, 'gamepad');
+        } else {
+          this.releaseKey(key, 'gamepad');
+        }
+      }
+      
+      if (gamepads.length) {
+        requestAnimationFrame(() => this.pollGamepads());
+      } else {
+        this.gamepadPolling = false;
+      }
+    }
+  
+    updateGamepadStatus() {
+      const gamepads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+      this.gamepadStatus.textContent = gamepads.length
+        ? `Gamepad: ${gamepads.map(gamepad => gamepad.id).join(', ')}`
+        : 'No gamepad connected (press a button on one to connect it)';
+    }
+  
+    /**
+     * Execute a single instruction and update the UI
+     */
+    step() {
+      if (!this.chip8.paused && !this.chip8.halted) {
+        // Store the current PC for highlighting in memory view
+        this.lastPC = this.chip8.pc;
+        this.faultPending = false;
+        this.breakpoints.lastHit = null;
+        this.watchpoints.lastTrigger = null;
+        
+        // Execute one instruction; the virtual clock advances the timers with it
+        this.chip8.step();
+        
+        // Update display if needed
+        if (this.chip8.drawFlag) {
+          this.updateDisplay();
+          this.chip8.drawFlag = false;
+        }
+        
+        // Update debugger UI
+        this.updateUI();
+      }
+    }
+  
+    /**
+     * Execute the next instruction, running a CALL (2NNN) and its whole subroutine as one step
+     */
+    stepOver() {
+      const opcode = (this.chip8.memory[this.chip8.pc] << 8) | this.chip8.memory[this.chip8.pc + 1];
+      if ((opcode & 0xF000) !== 0x2000 || this.chip8.waitingForKeyPress) {
+        this.step();
+        return;
+      }
+      
+      // Stop once the stack is back at the depth of the call
+      const depth = this.chip8.sp;
+      this.runUntil(() => this.chip8.sp <= depth, 'Step Over');
+    }
+  
+    /**
+     * Run until the 00EE that returns from the current subroutine
+     */
+    stepOut() {
+      const depth = this.chip8.sp;
+      if (depth === 0) {
+        this.runStatus.textContent = 'Step Out: not inside a subroutine';
+        return;
+      }
+      
+      this.runUntil(() => this.chip8.sp < depth, 'Step Out');
+    }
+  
+    /**
+     * Run until the PC reaches an address
+     */
+    runToCursor(address) {
+      const addressHex = `0x${address.toString(16).padStart(4, '0')}`;
+      this.runUntil(() => this.chip8.pc === address, `Run to ${addressHex}`);
+    }
+  
+    /**
+     * Run in real time until a condition holds after an instruction. Breakpoints,
+     * watchpoints and faults still stop the run, and so does the program waiting
+     * on a key press (FX0A), which could otherwise keep it going indefinitely.
+     */
+    runUntil(condition, description) {
+      if (this.running) {
+        this.toggleRun();
+      }
+      if (this.chip8.halted) return;
+      if (this.chip8.waitingForKeyPress) {
+        this.runStatus.textContent = `${description}: waiting for a key press (FX0A)`;
+        return;
+      }
+      
+      this.lastPC = this.chip8.pc;
+      this.runDescription = description;
+      this.runCondition = () => condition() || this.chip8.waitingForKeyPress;
+      this.toggleRun();
+    }
+  
+    /**
+     * Say why a Step Over/Out or Run to Cursor stopped
+     */
+    reportConditionalRun() {
+      const description = this.runDescription;
+      const pcHex = `0x${this.chip8.pc.toString(16).padStart(4, '0')}`;
+      
+      if (this.faultPending) {
+        this.runStatus.textContent = `${description}: stopped by a fault`;
+      } else if (this.chip8.halted) {
+        this.runStatus.textContent = `${description}: the program exited`;
+      } else if (this.breakpoints.lastHit) {
+        this.runStatus.textContent = `${description}: stopped at a breakpoint at ${pcHex}`;
+      } else if (this.watchpoints.lastTrigger) {
+        this.runStatus.textContent = `${description}: stopped by a watchpoint at ${pcHex}`;
+      } else if (this.chip8.waitingForKeyPress) {
+        this.runStatus.textContent = `${description}: stopped at ${pcHex}, waiting for a key press (FX0A)`;
+      } else if (this.runCondition && this.runCondition()) {
+        this.runStatus.textContent = `${description}: stopped at ${pcHex}`;
+      } else {
+        this.runStatus.textContent = `${description}: paused at ${pcHex}`;
+      }
+    }
+  
+    /**
+     * Undo the last executed instruction and update the UI
+     */
+    stepBack() {
+      this.rewind(1);
+    }
+  
+    /**
+     * Redo the last instruction undone and update the UI
+     */
+    stepForward() {
+      this.forward(1);
+    }
+  
+    /**
+     * Undo the last count executed instructions and update the UI
+     */
+    rewind(count) {
+      this.moveInHistory(count, () => this.history.stepBack());
+    }
+  
+    /**
+     * Redo the last count undone instructions and update the UI
+     */
+    forward(count) {
+      this.moveInHistory(count, () => this.history.stepForward());
+    }
+  
+    moveInHistory(count, move) {
+      if (this.running) {
+        this.toggleRun(); // Pause execution before rewinding
+      }
+      
+      // Undoing or redoing a memory edit changes the code the disassembly shows
+      let patched = false;
+      for (let moved = 0; moved < count; moved++) {
+        const entry = move();
+        if (!entry) break;
+        patched = patched || (entry.edit && entry.journal.memory.length > 0);
+      }
+      if (patched) {
+        this.analyzeROM(false);
+      }
+      // The draws and memory writes recorded so far may have been undone
+      this.drawInspector.clear();
+      this.memoryWriters.clear();
+      this.lastPC = this.chip8.pc;
+      
+      this.updateDisplay();
+      this.chip8.drawFlag = false;
+      this.updateUI();
+    }
+  
+    /**
+     * Toggle continuous execution
+     */
+    toggleRun() {
+      this.running = !this.running;
+      
+      if (this.running) {
+        this.runButton.textContent = 'Pause';
+        
+        // Start real-time execution (until runCondition holds, for Step Over/Out and Run to Cursor)
+        this.faultPending = false;
+        this.breakpoints.lastHit = null;
+        this.watchpoints.lastTrigger = null;
+        this.runStatus.textContent = this.runCondition ? `${this.runDescription}...` : '';
+        this.scheduler.shouldBreak = this.runCondition;
+        this.scheduler.onFrame = () => this.onSchedulerFrame();
+        this.scheduler.onStop = () => this.onSchedulerStop();
+        
+        // A breakpoint on the first instruction after a reset or a load stops the run before it starts
+        if (this.breakpoints.checkRunStart()) {
+          this.toggleRun();
+          return;
+        }
+        this.scheduler.start();
+      } else {
+        this.runButton.textContent = 'Run';
+        this.scheduler.stop();
+        this.beeper.stop(); // No sound while paused; the indicator still shows the timer
+        
+        if (this.runCondition) {
+          this.reportConditionalRun();
+          this.runCondition = null;
+          this.scheduler.shouldBreak = null;
+        }
+        
+        // Point the memory view at the faulting instruction
+        if (this.faultPending) {
+          this.lastPC = this.lastFault.pc;
+        }
+        this.updateDisplay(); // Show the exact display, without fading pixels
+        this.updateUI(); // Make sure UI is up to date
+      }
+    }
+  
+    /**
+     * Refresh the views after each animation frame while running
+     */
+    onSchedulerFrame() {
+      // Update display if needed (fading pixels need redrawing even when nothing was drawn)
+      if (this.chip8.drawFlag || this.displayRenderer.fading) {
+        this.updateDisplay();
+        this.chip8.drawFlag = false;
+      }
+      
+      // Beep while the sound timer runs
+      this.beeper.update(this.chip8.soundTimer > 0);
+      this.updateSoundIndicator();
+      
+      // Update UI less frequently to avoid overloading the browser
+      const now = Scheduler.now();
+      if (now - this.lastUIRefresh >= this.uiRefreshInterval) {
+        this.lastUIRefresh = now;
+        this.updateUI();
+      }
+    }
+  
+    /**
+     * The scheduler stopped by itself: a fault, the program exiting (00FD) or a breakpoint
+     */
+    onSchedulerStop() {
+      this.toggleRun(); // The breakpoint panel and memory view show what stopped it
+    }
+  
+    /**
+     * Create the sound controls: mute, volume, frequency and waveform
+     */
+    setupSoundControl(container) {
+      const soundControl = document.createElement('fieldset');
+      soundControl.className = 'sound-control';
+      
+      const legend = document.createElement('legend');
+      legend.textContent = 'Sound';
+      soundControl.appendChild(legend);
+      
+      if (!Beeper.isSupported()) {
+        soundControl.appendChild(document.createTextNode('Web Audio is not available in this browser'));
+        container.appendChild(soundControl);
+        return;
+      }
+      
+      const muteLabel = document.createElement('label');
+      const muteCheckbox = document.createElement('input');
+      muteCheckbox.type = 'checkbox';
+      muteCheckbox.id = 'sound-mute';
+      muteCheckbox.checked = this.beeper.muted;
+      muteCheckbox.addEventListener('change', (e) => this.beeper.setMuted(e.target.checked));
+      muteLabel.appendChild(muteCheckbox);
+      muteLabel.appendChild(document.createTextNode(' Mute'));
+      soundControl.appendChild(muteLabel);
+      
+      const volumeLabel = document.createElement('label');
+      volumeLabel.textContent = 'Volume: ';
+      const volumeSlider = document.createElement('input');
+      volumeSlider.type = 'range';
+      volumeSlider.id = 'sound-volume';
+      volumeSlider.min = '0';
+      volumeSlider.max = '100';
+      volumeSlider.value = Math.round(this.beeper.volume * 100);
+      volumeSlider.addEventListener('input', (e) => this.beeper.setVolume(Number(e.target.value) / 100));
+      volumeLabel.appendChild(volumeSlider);
+      soundControl.appendChild(volumeLabel);
+      
+      const frequencyLabel = document.createElement('label');
+      frequencyLabel.textContent = 'Frequency (Hz): ';
+      const frequencyInput = document.createElement('input');
+      frequencyInput.type = 'number';
+      frequencyInput.id = 'sound-frequency';
+      frequencyInput.min = '20';
+      frequencyInput.max = '20000';
+      frequencyInput.value = this.beeper.frequency;
+      frequencyInput.addEventListener('change', (e) => {
+        const frequency = Number(e.target.value);
+        if (frequency >= 20 && frequency <= 20000) {
+          this.beeper.setFrequency(frequency);
+        } else {
+          e.target.value = this.beeper.frequency;
+        }
+      });
+      frequencyLabel.appendChild(frequencyInput);
+      soundControl.appendChild(frequencyLabel);
+      
+      const waveformLabel = document.createElement('label');
+      waveformLabel.textContent = 'Waveform: ';
+      const waveformSelect = document.createElement('select');
+      waveformSelect.id = 'sound-waveform';
+      BEEPER_WAVEFORMS.forEach((waveform) => {
+        const option = document.createElement('option');
+        option.value = waveform;
+        option.textContent = waveform.charAt(0).toUpperCase() + waveform.slice(1);
+        waveformSelect.appendChild(option);
+      });
+      waveformSelect.value = this.beeper.waveform;
+      waveformSelect.addEventListener('change', (e) => this.beeper.setWaveform(e.target.value));
+      waveformLabel.appendChild(waveformSelect);
+      soundControl.appendChild(waveformLabel);
+      
+      container.appendChild(soundControl);
+    }
+  
+    /**
+     * Light the sound indicator next to the timers while the sound timer runs
+     */
+    updateSoundIndicator() {
+      const indicator = this.registersDisplay.querySelector('.sound-indicator');
+      if (indicator) {
+        indicator.classList.toggle('active', this.chip8.soundTimer > 0);
+      }
+    }
+  
+    /**
+     * Show the measured instruction and frame rates
+     */
+    updateSpeedStats() {
+      if (!this.speedStats) return;
+      
+      this.speedStats.textContent = this.running
+        ? `Measured: ${this.scheduler.measuredIPS} IPS, ${this.scheduler.measuredFPS} FPS`
+        : 'Measured: paused';
+    }
+  
+    /**
+     * Reset the emulator
+     */
+    reset() {
+      if (this.running) {
+        this.toggleRun(); // Stop execution if running
+      }
+      
+      this.chip8.reset();
+      this.lastFault = null;
+      this.history.clear();
+      this.trace.clear();
+      this.profiler.reset();
+      this.drawInspector.clear();
+      this.frameHistory.clear();
+      this.frameHistorySelected = null;
+      this.memoryWriters.clear();
+      this.traceDivergence = null;
+      this.breakpoints.checkOnNextRun();
+      this.analyzeROM(true);
+      this.updateUI();
+      this.updateDisplay();
+    }
+  
+    /**
+     * Switch XO-CHIP mode, reloading the current ROM into the resized memory
+     */
+    setXOChipMode(enabled) {
+      if (this.running) {
+        this.toggleRun(); // Stop execution if running
+      }
+      
+      this.chip8.setXOChipMode(enabled);
+      
+      if (this.romBuffer) {
+        this.loadROMData(this.romBuffer);
+      } else {
+        this.reset();
+      }
+    }
+  
+    /**
+     * Load a ROM file
+     */
+    loadROM(event) {
+      const file = event.target.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      
+      reader.onload = (e) => {
+        const buffer = new Uint8Array(e.target.result);
+        
+        if (this.loadROMData(buffer)) {
+          console.log(`Loaded ROM: ${file.name}, size: ${buffer.length} bytes`);
+        }
+      };
+      
+      reader.readAsArrayBuffer(file);
+    }
+  
+    /**
+     * Reset the emulator and load ROM bytes into memory
+     */
+    loadROMData(buffer) {
+      // Reset before loading ROM
+      this.reset();
+      
+      // Load ROM into memory
+      try {
+        this.chip8.loadROM(buffer);
+      } catch (error) {
+        alert(error.message);
+        return false;
+      }
+      this.romBuffer = buffer;
+      this.romHash = SymbolTable.hash(buffer);
+      this.loadStoredSymbols();
+      this.loadStoredKeyBindings();
+      this.analyzeROM(true);
+      this.renderBreakpointList();
+      
+      // Update UI to show loaded ROM
+      this.updateUI();
+      return true;
+    }
+  
+    /**
+     * Update the instruction and register displays
+     */
+    updateUI() {
+      // Get current instruction
+      const currentPC = this.chip8.pc;
+      const currentOpcode = (this.chip8.memory[currentPC] << 8) | this.chip8.memory[currentPC + 1];
+      const nextWord = (this.chip8.memory[currentPC + 2] << 8) | this.chip8.memory[currentPC + 3];
+      const isLong = this.chip8.getInstructionLength(currentOpcode) === 4;
+      
+      // Format PC and instruction
+      const pcHex = currentPC.toString(16).padStart(4, '0');
+      const opcodeHex = currentOpcode.toString(16).padStart(4, '0') + (isLong ? nextWord.toString(16).padStart(4, '0') : '');
+      
+      // Get instruction metadata
+      const instruction = this.chip8.disassembleInstruction(currentOpcode, nextWord);
+      const description = this.chip8.getInstructionDescription(currentOpcode, nextWord);
+      
+      // Update instruction display
+      this.instructionDisplay.innerHTML = `
+        <div class="instruction-info">
+          <div><strong>PC:</strong> 0x${pcHex}</div>
+          <div><strong>Opcode:</strong> 0x${opcodeHex}</div>
+          <div><strong>Instruction:</strong> ${instruction}</div>
+          <div><strong>Mode:</strong> ${this.chip8.xoChip ? 'XO-CHIP ' : ''}${this.chip8.hires ? '128x64' : '64x32'}${this.chip8.fault ? ' (faulted)' : this.chip8.halted ? ' (exited)' : ''}</div>
+        </div>
+        <div class="instruction-description">
+          <strong>Description:</strong> ${description}
+        </div>
+        <div class="memory-view">
+          <strong>Memory around PC:</strong>
+          <div class="memory-bytes">
+            ${this.formatMemoryView(currentPC - 6, currentPC + 10)}
+          </div>
+        </div>
+      `;
+      
+      // Update registers display
+      let registersHTML = '<div class="registers">';
+      
+      // V registers
+      registersHTML += '<div class="register-column">';
+      for (let i = 0; i < 16; i++) {
+        const regName = `V${i.toString(16).toUpperCase()}`;
+        registersHTML += `<div><strong>${regName}:</strong> ${this.formatEditableValue(regName)}</div>`;
+      }
+      registersHTML += '</div>';
+      
+      // Special registers and timers
+      registersHTML += '<div class="register-column">';
+      registersHTML += `<div><strong>I:</strong> ${this.formatEditableValue('I')}</div>`;
+      registersHTML += `<div><strong>PC:</strong> ${this.formatEditableValue('PC')}</div>`;
+      registersHTML += `<div><strong>SP:</strong> ${this.formatEditableValue('SP')}</div>`;
+      registersHTML += `<div><strong>Delay Timer:</strong> ${this.formatEditableValue('DT')}</div>`;
+      registersHTML += `<div><strong>Sound Timer:</strong> ${this.formatEditableValue('ST')} <span class="sound-indicator${this.chip8.soundTimer > 0 ? ' active' : ''}" title="Sound playing">&#9834;</span></div>`;
+      registersHTML += '</div>';
+      
+      // Stack
+      registersHTML += '<div class="register-column">';
+      registersHTML += '<div><strong>Stack:</strong></div>';
+      for (let i = 0; i < Math.min(this.chip8.sp, this.chip8.stack.length); i++) {
+        registersHTML += `<div>${i}: ${this.formatEditableValue(`stack:${i}`)}</div>`;
+      }
+      registersHTML += '</div>';
+      
+      registersHTML += '</div>'; // Close registers div
+      
+      this.registersDisplay.innerHTML = registersHTML;
+      
+      this.updateTracePanel();
+      this.updateProfilerPanel();
+      this.updateSpriteViewer();
+      this.updateDrawList();
+      this.updateFrameHistoryPanel();
+      this.updateCallStackPanel();
+      this.updateFaultPanel();
+      this.updateBreakpointPanel();
+      this.updateWatchpointPanel();
+      this.updateDisassemblyPanel();
+      this.updateSpeedStats();
+      
+      // Rewind slider covers the recorded history and what was undone, with
+      // the newest state at the right end
+      const back = this.history.redoLength;
+      this.rewindSlider.max = this.history.length + back;
+      this.rewindSlider.value = this.history.length;
+      this.rewindValue.textContent = `${back} instructions back`;
+      
+      // Update memory view to highlight current PC
+      if (this.lastPC !== null) {
+        this.highlightMemoryAddress(this.lastPC);
+      }
+    }
+  
+    /**
+     * Describe an editable value by name (V0-VF, I, PC, SP, DT, ST, stack:N or
+     * memory:ADDRESS): how to read and write it, its largest value and the radix
+     * and width it is shown in
+     */
+    getEditableField(name) {
+      const chip8 = this.chip8;
+      const [kind, index] = name.split(':');
+      const addressMax = chip8.memory.length - 1; // 12-bit, or 16-bit with XO-CHIP memory
+      
+      if (/^V[0-9A-F]$/.test(kind)) {
+        const x = parseInt(kind[1], 16);
+        return { get: () => chip8.v[x], set: (value) => { chip8.v[x] = value; }, max: 0xFF, radix: 16, width: 2 };
+      }
+      
+      switch (kind) {
+        case 'I':
+          return { get: () => chip8.i, set: (value) => { chip8.i = value; }, max: chip8.xoChip ? 0xFFFF : 0xFFF, radix: 16, width: 4 };
+        case 'PC':
+          return { get: () => chip8.pc, set: (value) => { chip8.pc = value; }, max: addressMax, radix: 16, width: 4 };
+        case 'SP':
+          return { get: () => chip8.sp, set: (value) => { chip8.sp = value; }, max: chip8.stack.length, radix: 10 };
+        case 'DT':
+          return { get: () => chip8.delayTimer, set: (value) => { chip8.delayTimer = value; }, max: 0xFF, radix: 10 };
+        case 'ST':
+          return { get: () => chip8.soundTimer, set: (value) => { chip8.soundTimer = value; }, max: 0xFF, radix: 10 };
+        case 'stack':
+          return { get: () => chip8.stack[index], set: (value) => { chip8.stack[index] = value; }, max: addressMax, radix: 16, width: 4 };
+        case 'memory': {
+          // Typed in the memory grid's format
+          const radix = this.memoryGridView ? this.memoryGridView.radix : 10;
+          return { get: () => chip8.memory[index], set: (value) => { chip8.memory[index] = value; }, max: 0xFF, radix };
+        }
+      }
+      throw new Error(`Unknown value: ${name}`);
+    }
+  
+    /**
+     * An editable value as HTML for the registers display
+     */
+    formatEditableValue(name) {
+      const field = this.getEditableField(name);
+      const value = field.get();
+      const text = field.radix === 16 ? `0x${value.toString(16).padStart(field.width, '0')}` : value;
+      return `<span class="editable-value" data-edit="${name}" title="Click to edit while paused (Step Back undoes an edit)">${text}</span>`;
+    }
+  
+    /**
+     * Set an editable value from text: 0x hex, 0b binary, or a plain number in
+     * the radix the value is shown in. Returns an error message, or null on success.
+     */
+    editValue(name, text) {
+      if (this.running) {
+        return 'Pause the program before editing';
+      }
+      
+      const field = this.getEditableField(name);
+      const input = text.trim();
+      let value = NaN;
+      if (/^0x[0-9a-f]+$/i.test(input)) {
+        value = parseInt(input.slice(2), 16);
+      } else if (/^0b[01]+$/i.test(input)) {
+        value = parseInt(input.slice(2), 2);
+      } else if ({ 2: /^[01]+$/, 10: /^\d+$/, 16: /^[0-9a-f]+$/i }[field.radix].test(input)) {
+        value = parseInt(input, field.radix);
+      }
+      
+      if (isNaN(value)) {
+        return `"${input}" is not a number`;
+      }
+      if (value > field.max) {
+        return `${input} is out of range (0-0x${field.max.toString(16)})`;
+      }
+      
+      // Recorded in the execution history, so Step Back undoes the edit
+      this.history.recordEdit((journal) => {
+        if (name.startsWith('memory:')) {
+          journal.memory.push(Number(name.split(':')[1]), field.get());
+        }
+        field.set(value);
+      });
+      
+      // Patched code shows up in the disassembly right away
+      if (name.startsWith('memory:')) {
+        this.analyzeROM(false);
+      }
+      this.updateDisplay();
+      this.updateUI();
+      return null;
+    }
+  
+    /**
+     * Replace a displayed value with an input box. Enter applies the new value,
+     * Escape (or leaving the box with an invalid value) cancels.
+     */
+    beginEdit(element, name) {
+      if (this.running || element.querySelector('input')) return;
+      
+      const originalText = element.textContent;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'value-editor';
+      input.value = originalText.trim();
+      element.textContent = '';
+      element.appendChild(input);
+      input.focus();
+      input.select();
+      
+      let finished = false;
+      const finish = (apply) => {
+        if (finished) return;
+        finished = true; // Redrawing the display removes the box, which blurs it
+        const error = apply ? this.editValue(name, input.value) : null;
+        if (apply && !error) return;
+        
+        if (error && apply === 'enter') {
+          // Keep the box open so the value can be corrected
+          finished = false;
+          input.classList.add('invalid');
+          input.title = error;
+          return;
+        }
+        if (input.parentNode === element) {
+          element.textContent = originalText;
+        }
+      };
+      
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          finish('enter');
+        } else if (e.key === 'Escape') {
+          finish(false);
+        }
+      });
+      input.addEventListener('blur', () => finish('blur'));
+      input.addEventListener('click', (e) => e.stopPropagation());
+    }
+  
+    /**
+     * Format a view of memory around a specific address
+     */
+    formatMemoryView(startAddr, endAddr) {
+      // Ensure addresses are within memory bounds
+      startAddr = Math.max(0, startAddr);
+      endAddr = Math.min(this.chip8.memory.length - 1, endAddr);
+      
+      let html = '';
+      
+      for (let addr = startAddr; addr <= endAddr; ) {
+        // Format address
+        const addrHex = addr.toString(16).padStart(4, '0');
+        
+        // Get opcode (2 bytes, or 4 for XO-CHIP long loads) if possible
+        let opcodeStr = '??';
+        let disasm = '';
+        let length = 2;
+        if (addr + 1 < this.chip8.memory.length) {
+          const opcode = (this.chip8.memory[addr] << 8) | this.chip8.memory[addr + 1];
+          const nextWord = (this.chip8.memory[addr + 2] << 8) | this.chip8.memory[addr + 3];
+          length = this.chip8.getInstructionLength(opcode);
+          opcodeStr = opcode.toString(16).padStart(4, '0') + (length === 4 ? nextWord.toString(16).padStart(4, '0') : '');
+          
+          // Try to disassemble
+          disasm = this.chip8.disassembleInstruction(opcode, nextWord);
+        }
+        
+        // Highlight current PC
+        const isCurrentPC = (addr === this.chip8.pc);
+        const isFaultPC = this.lastFault !== null && addr === this.lastFault.pc;
+        const pcMarker = isCurrentPC ? '→ ' : '  ';
+        const breakpoint = this.breakpoints.get(addr);
+        const isBreakpointHit = breakpoint !== null && breakpoint === this.breakpoints.lastHit;
+        const classes = [
+          isCurrentPC ? 'current-pc' : '',
+          isFaultPC ? 'fault-pc' : '',
+          breakpoint ? (breakpoint.enabled ? 'breakpoint' : 'breakpoint-disabled') : '',
+          isBreakpointHit ? 'breakpoint-hit' : ''
+        ].filter(Boolean);
+        const highlightClass = classes.length ? `class="${classes.join(' ')}"` : '';
+        const breakpointMarker = breakpoint ? '&#9679;' : '&nbsp;';
+        
+        html += `<div id="mem-${addrHex}" data-address="${addr}" title="Click to toggle a breakpoint" ${highlightClass}>` +
+          `<span class="breakpoint-marker">${breakpointMarker}</span>${pcMarker}0x${addrHex}: 0x${opcodeStr} ${disasm}` +
+          `<span class="run-to-cursor" title="Run to here">&#8677;</span></div>`;
+        addr += length;
+      }
+      
+      return html;
+    }
+  
+    /**
+     * Highlight a memory address in the memory view
+     */
+    highlightMemoryAddress(address) {
+      const view = this.memoryGridView;
+      if (!view) return;
+      
+      // Follow the PC when it moves out of view, but leave the grid where it is otherwise
+      const moved = view.highlighted !== address;
+      view.highlight(address);
+      if (moved && !view.isVisible(address)) {
+        view.scrollToAddress(address);
+      }
+    }
+  
+    /**
+     * Set up the graphics inspector: a sprite viewer and the draws of the current frame
+     */
+    setupGraphicsInspector(container) {
+      const inspector = document.createElement('div');
+      inspector.className = 'graphics-inspector';
+      
+      // Sprite viewer: memory at I, or at a chosen address, drawn as a sprite
+      const spriteControls = document.createElement('div');
+      spriteControls.className = 'sprite-controls';
+      
+      const addressLabel = document.createElement('label');
+      addressLabel.textContent = 'Sprite at: ';
+      this.spriteAddressInput = document.createElement('input');
+      this.spriteAddressInput.type = 'text';
+      this.spriteAddressInput.placeholder = 'I';
+      this.spriteAddressInput.addEventListener('input', () => this.updateSpriteViewer());
+      addressLabel.appendChild(this.spriteAddressInput);
+      spriteControls.appendChild(addressLabel);
+      
+      const heightLabel = document.createElement('label');
+      heightLabel.textContent = ' Height: ';
+      this.spriteHeightInput = document.createElement('input');
+      this.spriteHeightInput.type = 'number';
+      this.spriteHeightInput.min = '1';
+      this.spriteHeightInput.max = '16';
+      this.spriteHeightInput.value = '8';
+      this.spriteHeightInput.addEventListener('input', () => this.updateSpriteViewer());
+      heightLabel.appendChild(this.spriteHeightInput);
+      spriteControls.appendChild(heightLabel);
+      
+      const wideLabel = document.createElement('label');
+      this.spriteWideCheckbox = document.createElement('input');
+      this.spriteWideCheckbox.type = 'checkbox';
+      this.spriteWideCheckbox.addEventListener('change', () => this.updateSpriteViewer());
+      wideLabel.appendChild(this.spriteWideCheckbox);
+      wideLabel.appendChild(document.createTextNode(' 16 wide'));
+      spriteControls.appendChild(wideLabel);
+      inspector.appendChild(spriteControls);
+      
+      this.spritePreview = document.createElement('div');
+      this.spritePreview.className = 'sprite-preview';
+      inspector.appendChild(this.spritePreview);
+      
+      this.spriteBytes = document.createElement('div');
+      this.spriteBytes.className = 'sprite-bytes';
+      inspector.appendChild(this.spriteBytes);
+      
+      // The last draw to touch a clicked pixel
+      this.pixelInfo = document.createElement('div');
+      this.pixelInfo.className = 'pixel-info';
+      inspector.appendChild(this.pixelInfo);
+      
+      // Draws of the current frame; hovering one outlines it on the display
+      this.drawListSummary = document.createElement('div');
+      this.drawListSummary.className = 'draw-list-summary';
+      inspector.appendChild(this.drawListSummary);
+      
+      this.drawList = document.createElement('table');
+      this.drawList.className = 'draw-list';
+      this.drawList.addEventListener('mouseover', (e) => {
+        const row = e.target.closest('tr[data-draw]');
+        this.showDrawOutline(row ? this.drawListDraws[Number(row.dataset.draw)] : null);
+      });
+      this.drawList.addEventListener('mouseleave', () => this.showDrawOutline(null));
+      this.drawList.addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-draw]');
+        if (row) {
+          const draw = this.drawListDraws[Number(row.dataset.draw)];
+          this.goToAddress(draw.pc);
+          this.spriteAddressInput.value = draw.address.toString(16);
+          this.spriteHeightInput.value = draw.height;
+          this.spriteWideCheckbox.checked = draw.width === 16;
+          this.updateSpriteViewer();
+        }
+      });
+      inspector.appendChild(this.drawList);
+      this.drawListDraws = [];
+      
+      container.appendChild(inspector);
+    }
+  
+    /**
+     * Create the frame history: a scrubber over the recent display frames, the
+     * chosen frame next to what changed since the one before, and exports of a
+     * range of frames
+     */
+    setupFrameHistoryPanel(container) {
+      const panel = document.createElement('div');
+      panel.className = 'frame-history';
+      
+      const heading = document.createElement('h3');
+      heading.textContent = 'Frame history';
+      panel.appendChild(heading);
+      
+      const controls = document.createElement('div');
+      controls.className = 'frame-history-controls';
+      
+      const recordLabel = document.createElement('label');
+      const recordCheckbox = document.createElement('input');
+      recordCheckbox.type = 'checkbox';
+      recordCheckbox.checked = this.frameHistory.recording;
+      recordCheckbox.addEventListener('change', (e) => {
+        if (e.target.checked) {
+          this.frameHistory.start();
+        } else {
+          this.frameHistory.pause();
+        }
+      });
+      recordLabel.appendChild(recordCheckbox);
+      recordLabel.appendChild(document.createTextNode(' Record'));
+      controls.appendChild(recordLabel);
+      
+      const perDrawLabel = document.createElement('label');
+      const perDrawCheckbox = document.createElement('input');
+      perDrawCheckbox.type = 'checkbox';
+      perDrawCheckbox.checked = this.frameHistory.perDraw;
+      perDrawCheckbox.addEventListener('change', (e) => this.frameHistory.setPerDraw(e.target.checked));
+      perDrawLabel.appendChild(perDrawCheckbox);
+      perDrawLabel.appendChild(document.createTextNode(' Also after each DXYN'));
+      controls.appendChild(perDrawLabel);
+      
+      const clearButton = document.createElement('button');
+      clearButton.textContent = 'Clear';
+      clearButton.addEventListener('click', () => {
+        this.frameHistory.clear();
+        this.frameHistorySelected = null;
+        this.updateFrameHistoryPanel();
+      });
+      controls.appendChild(clearButton);
+      panel.appendChild(controls);
+      
+      // Moving the scrubber to the end follows the latest frame again
+      this.frameScrubber = document.createElement('input');
+      this.frameScrubber.type = 'range';
+      this.frameScrubber.className = 'frame-scrubber';
+      this.frameScrubber.min = '0';
+      this.frameScrubber.addEventListener('input', (e) => {
+        const index = Number(e.target.value);
+        const snapshot = this.frameHistory.get(index);
+        this.frameHistorySelected = snapshot && index < this.frameHistory.length - 1 ? snapshot.number : null;
+        this.updateFrameHistoryPanel();
+      });
+      panel.appendChild(this.frameScrubber);
+      
+      this.frameInfo = document.createElement('div');
+      this.frameInfo.className = 'frame-info';
+      panel.appendChild(this.frameInfo);
+      
+      const views = document.createElement('div');
+      views.className = 'frame-views';
+      const frameCanvas = document.createElement('canvas');
+      frameCanvas.title = 'The chosen frame';
+      views.appendChild(frameCanvas);
+      this.frameRenderer = new DisplayRenderer(frameCanvas);
+      this.frameRenderer.scale = 4;
+      this.frameDiffCanvas = document.createElement('canvas');
+      this.frameDiffCanvas.title = 'Changes from the frame before: green turned on, red turned off, yellow changed color';
+      views.appendChild(this.frameDiffCanvas);
+      panel.appendChild(views);
+      
+      // Export a range of frames, by number
+      const exportControls = document.createElement('div');
+      exportControls.className = 'frame-history-controls';
+      const addRangeInput = (labelText, setText) => {
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        label.appendChild(input);
+        exportControls.appendChild(label);
+        
+        const setButton = document.createElement('button');
+        setButton.textContent = setText;
+        setButton.title = 'Use the chosen frame';
+        setButton.addEventListener('click', () => {
+          const snapshot = this.getSelectedFrame();
+          if (snapshot) {
+            input.value = snapshot.number;
+          }
+        });
+        exportControls.appendChild(setButton);
+        return input;
+      };
+      this.frameExportFrom = addRangeInput('From: ', 'Set');
+      this.frameExportTo = addRangeInput(' To: ', 'Set');
+      
+      const gifButton = document.createElement('button');
+      gifButton.textContent = 'Export GIF';
+      gifButton.addEventListener('click', () => this.exportFramesGIF());
+      exportControls.appendChild(gifButton);
+      
+      const pngButton = document.createElement('button');
+      pngButton.textContent = 'Export PNGs';
+      pngButton.title = 'A zip file of numbered PNG images';
+      pngButton.addEventListener('click', () => this.exportFramesPNG());
+      exportControls.appendChild(pngButton);
+      panel.appendChild(exportControls);
+      
+      this.frameExportStatus = document.createElement('div');
+      this.frameExportStatus.className = 'frame-info';
+      panel.appendChild(this.frameExportStatus);
+      
+      container.appendChild(panel);
+      this.updateFrameHistoryPanel();
+    }
+  
+    /**
+     * The snapshot chosen with the scrubber, or the latest one
+     */
+    getSelectedFrame() {
+      const history = this.frameHistory;
+      if (this.frameHistorySelected === null) {
+        return history.get(history.length - 1);
+      }
+      // Snapshots are numbered in order, so the number gives the position (if it's still kept)
+      const oldest = history.taken - history.length;
+      return history.get(Math.max(0, this.frameHistorySelected - oldest));
+    }
+  
+    /**
+     * Show the chosen frame and its difference from the frame before
+     */
+    updateFrameHistoryPanel() {
+      const history = this.frameHistory;
+      const snapshot = this.getSelectedFrame();
+      this.frameScrubber.max = Math.max(0, history.length - 1);
+      this.frameScrubber.disabled = history.length === 0;
+      
+      if (!snapshot) {
+        this.frameInfo.textContent = history.recording ? 'No frames yet' : 'Not recording';
+        return;
+      }
+      
+      const index = snapshot.number - (history.taken - history.length);
+      this.frameScrubber.value = index;
+      const previous = history.get(index - 1);
+      const diff = FrameHistory.diff(previous, snapshot);
+      
+      const source = snapshot.kind === 'draw' ? `after the DXYN at ${this.formatAddressName(snapshot.pc)}` : 'at the 60Hz tick';
+      this.frameInfo.textContent = `Frame #${snapshot.number} (tick ${snapshot.frame}, ${source})` +
+        `${this.frameHistorySelected === null ? ', latest' : ''}: ` +
+        (previous ? `${diff.on} on, ${diff.off} off, ${diff.changed} changed` : 'first frame kept');
+      
+      this.frameRenderer.palette = this.displayRenderer.palette;
+      this.frameRenderer.render(FrameHistory.toRows(snapshot), false);
+      this.drawFrameDiff(snapshot, previous ? diff : null);
+    }
+  
+    /**
+     * Draw a frame's changes: unchanged lit pixels dim, and the changed ones in color
+     */
+    drawFrameDiff(snapshot, diff) {
+      const canvas = this.frameDiffCanvas;
+      canvas.width = snapshot.width;
+      canvas.height = snapshot.height;
+      canvas.style.width = `${this.frameRenderer.canvas.width}px`;
+      canvas.style.height = `${this.frameRenderer.canvas.height}px`;
+      const context = canvas.getContext('2d');
+      if (!context) return;
+      
+      const colors = {
+        [FRAME_DIFF_ON]: [76, 175, 80],
+        [FRAME_DIFF_OFF]: [244, 67, 54],
+        [FRAME_DIFF_CHANGED]: [255, 235, 59]
+      };
+      const image = context.createImageData(snapshot.width, snapshot.height);
+      for (let i = 0; i < snapshot.pixels.length; i++) {
+        const change = diff ? diff.pixels[i] : FRAME_DIFF_SAME;
+        const color = change !== FRAME_DIFF_SAME ? colors[change] : snapshot.pixels[i] ? [80, 80, 80] : [0, 0, 0];
+        image.data.set([...color, 255], i * 4);
+      }
+      context.putImageData(image, 0, 0);
+    }
+  
+    /**
+     * The kept snapshots numbered within the export range (all of them by default)
+     */
+    getExportFrames() {
+      const history = this.frameHistory;
+      const from = this.frameExportFrom.value === '' ? 0 : Number(this.frameExportFrom.value);
+      const to = this.frameExportTo.value === '' ? Infinity : Number(this.frameExportTo.value);
+      const frames = [];
+      for (let index = 0; index < history.length; index++) {
+        const snapshot = history.get(index);
+        if (snapshot.number >= Math.min(from, to) && snapshot.number <= Math.max(from, to)) {
+          frames.push(snapshot);
+        }
+      }
+      if (!frames.length) {
+        this.frameExportStatus.textContent = 'No recorded frames in that range';
+      }
+      return frames;
+    }
+  
+    /**
+     * Export the frame range as a looping GIF in the display's palette
+     */
+    exportFramesGIF() {
+      const frames = this.getExportFrames();
+      if (!frames.length) return;
+      
+      // Whole pixels at both resolutions: a low resolution pixel is two high resolution ones
+      const size = Math.max(1, Math.floor(this.displayRenderer.scale / 2));
+      const encoder = new GifEncoder(128 * size, 64 * size, this.displayRenderer.colors);
+      frames.forEach((snapshot) => {
+        // GIF delays are in hundredths of a second, so 60Hz ticks play back at 50 frames a second
+        encoder.addFrame(FrameHistory.scale(snapshot, size * 128 / snapshot.width), 2);
+      });
+      
+      const first = frames[0].number;
+      const last = frames[frames.length - 1].number;
+      this.downloadFile(`chip8-frames-${first}-${last}.gif`, encoder.encode(), 'image/gif');
+      this.frameExportStatus.textContent = `Exported ${frames.length} frames as a GIF`;
+    }
+  
+    /**
+     * Export the frame range as a zip of numbered PNG images, drawn like the display
+     */
+    exportFramesPNG() {
+      const frames = this.getExportFrames();
+      if (!frames.length) return;
+      
+      const renderer = new DisplayRenderer(document.createElement('canvas'));
+      renderer.scale = this.displayRenderer.scale;
+      renderer.palette = this.displayRenderer.palette;
+      const zip = new ZipWriter();
+      const first = frames[0].number;
+      const last = frames[frames.length - 1].number;
+      
+      // Images are encoded asynchronously, one after another
+      const exportFrame = (index) => {
+        if (index === frames.length) {
+          this.downloadFile(`chip8-frames-${first}-${last}.zip`, zip.encode(), 'application/zip');
+          this.frameExportStatus.textContent = `Exported ${frames.length} frames as PNG images`;
+          return;
+        }
+        
+        this.frameExportStatus.textContent = `Exporting frame ${index + 1} of ${frames.length}...`;
+        renderer.render(FrameHistory.toRows(frames[index]), false);
+        renderer.toPNG((blob) => {
+          if (!blob) {
+            this.frameExportStatus.textContent = 'This browser can\'t create PNG images';
+            return;
+          }
+          const reader = new FileReader();
+          reader.onload = (e) => {
+            zip.addFile(`frame-${String(index + 1).padStart(4, '0')}.png`, new Uint8Array(e.target.result));
+            exportFrame(index + 1);
+          };
+          reader.readAsArrayBuffer(blob);
+        });
+      };
+      exportFrame(0);
+    }
+  
+    /**
+     * Draw the bytes at the chosen address (or I) as a sprite
+     */
+    updateSpriteViewer() {
+      const addressText = this.spriteAddressInput.value.trim().replace(/^0x/i, '');
+      const address = addressText === '' ? this.chip8.i : parseInt(addressText, 16);
+      const height = Math.min(16, Math.max(1, Number(this.spriteHeightInput.value) || 1));
+      const width = this.spriteWideCheckbox.checked ? 16 : 8;
+      
+      if (isNaN(address) || address >= this.chip8.memory.length) {
+        this.spritePreview.innerHTML = '';
+        this.spriteBytes.textContent = `Invalid address "${this.spriteAddressInput.value}"`;
+        return;
+      }
+      
+      const rows = DrawInspector.readSprite(this.chip8.memory, address, height, width);
+      this.spritePreview.style.gridTemplateColumns = `repeat(${width}, 8px)`;
+      this.spritePreview.innerHTML = rows
+        .map(row => row.map(set => `<div${set ? ' class="on"' : ''}></div>`).join(''))
+        .join('');
+      
+      const byteCount = height * width / 8;
+      const bytes = Array.from(this.chip8.memory.slice(address, address + byteCount), byte => byte.toString(16).padStart(2, '0'));
+      this.spriteBytes.textContent = `${this.formatAddressName(address)}: ${bytes.join(' ')}`;
+    }
+  
+    /**
+     * List the draws of the current frame (or the last frame that drew anything)
+     */
+    updateDrawList() {
+      const current = this.drawInspector.draws.length > 0;
+      const draws = current ? this.drawInspector.draws : this.drawInspector.previousDraws;
+      const hex = (value) => value.toString(16).padStart(4, '0');
+      
+      this.drawListDraws = draws.slice(-this.drawRowLimit);
+      this.drawListSummary.textContent = draws.length
+        ? `${draws.length} draw${draws.length === 1 ? '' : 's'} in ${current ? 'the current' : 'the last'} frame`
+        : 'No draws yet';
+      
+      const header = '<tr><th>#</th><th>PC</th><th>Sprite</th><th>X, Y</th><th>Size</th><th>VF</th></tr>';
+      this.drawList.innerHTML = header + this.drawListDraws.map((draw, index) =>
+        `<tr data-draw="${index}"${draw.collision ? ' class="collision"' : ''} title="${this.chip8.disassembleInstruction(draw.opcode)}">` +
+        `<td>${draw.index}</td><td>${hex(draw.pc)}</td><td>${this.formatAddressName(draw.address)}</td>` +
+        `<td>${draw.x}, ${draw.y}</td><td>${draw.width}x${draw.height}</td><td>${draw.collision ? '1' : '0'}</td></tr>`
+      ).join('');
+    }
+  
+    /**
+     * Outline a draw's rectangle on the display (null removes the outline)
+     */
+    showDrawOutline(draw) {
+      if (!draw) {
+        if (this.displayOutline) {
+          this.displayOutline.remove();
+          this.displayOutline = null;
+        }
+        return;
+      }
+      
+      if (!this.displayOutline) {
+        this.displayOutline = document.createElement('div');
+        this.displayOutline.className = 'draw-outline';
+      }
+      
+      // Coordinates wrap onto the screen; the sprite itself may run off the edge
+      const scale = this.displayRenderer.pixelSize(this.chip8.displayWidth);
+      const x = draw.x % this.chip8.displayWidth;
+      const y = draw.y % this.chip8.displayHeight;
+      Object.assign(this.displayOutline.style, {
+        left: `${x * scale}px`,
+        top: `${y * scale}px`,
+        width: `${Math.min(draw.width, this.chip8.displayWidth - x) * scale}px`,
+        height: `${Math.min(draw.height, this.chip8.displayHeight - y) * scale}px`
+      });
+      this.displayScreen.appendChild(this.displayOutline);
+    }
+  
+    /**
+     * Report the draw that last toggled a display pixel, and outline it
+     */
+    inspectPixel(x, y) {
+      const draw = this.drawInspector.pixelOwner(x, y);
+      if (!draw) {
+        this.pixelInfo.textContent = `Pixel (${x}, ${y}): no recorded draw`;
+        this.showDrawOutline(null);
+        return;
+      }
+      
+      this.pixelInfo.textContent = `Pixel (${x}, ${y}): last toggled by ` +
+        `${this.formatAddressName(draw.pc)} ${this.chip8.disassembleInstruction(draw.opcode)} ` +
+        `(frame ${draw.frame}, sprite ${this.formatAddressName(draw.address)}, VF=${draw.collision ? 1 : 0})`;
+      this.showDrawOutline(draw);
+      this.goToAddress(draw.pc);
+    }
+  
+    /**
+     * Update the CHIP-8 display (pixels fade out with persistence only while running)
+     */
+    updateDisplay() {
+      this.displayRenderer.render(this.chip8.display, this.running);
+    }
+  
+    /**
+     * Create the display settings: scale, palette, pixel grid, persistence and a screenshot button
+     */
+    setupDisplayControls(container) {
+      const displayControl = document.createElement('div');
+      displayControl.className = 'display-controls';
+      const renderer = this.displayRenderer;
+      
+      const addSelect = (labelText, id, options, value, onChange) => {
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        const select = document.createElement('select');
+        select.id = id;
+        Object.entries(options).forEach(([key, text]) => {
+          const option = document.createElement('option');
+          option.value = key;
+          option.textContent = text;
+          select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', (e) => {
+          onChange(e.target.value);
+          this.updateDisplay();
+        });
+        label.appendChild(select);
+        displayControl.appendChild(label);
+      };
+      
+      const scales = {};
+      [4, 6, 8, 10, 12, 16].forEach((scale) => { scales[scale] = `${scale}x`; });
+      addSelect('Scale: ', 'display-scale', scales, renderer.scale, (value) => {
+        renderer.scale = Number(value);
+        this.showDrawOutline(null); // The outline was placed for the old scale
+      });
+      
+      const palettes = {};
+      Object.entries(DISPLAY_PALETTES).forEach(([key, palette]) => { palettes[key] = palette.name; });
+      addSelect('Palette: ', 'display-palette', palettes, renderer.palette, (value) => { renderer.palette = value; });
+      
+      addSelect('Persistence: ', 'display-persistence',
+        { off: 'Off', low: 'Low', medium: 'Medium', high: 'High' }, renderer.persistence,
+        (value) => { renderer.persistence = value; });
+      
+      const gridLabel = document.createElement('label');
+      const gridCheckbox = document.createElement('input');
+      gridCheckbox.type = 'checkbox';
+      gridCheckbox.id = 'display-pixel-grid';
+      gridCheckbox.checked = renderer.grid;
+      gridCheckbox.addEventListener('change', (e) => {
+        renderer.grid = e.target.checked;
+        this.updateDisplay();
+      });
+      gridLabel.appendChild(gridCheckbox);
+      gridLabel.appendChild(document.createTextNode(' Pixel grid'));
+      displayControl.appendChild(gridLabel);
+      
+      const screenshotButton = document.createElement('button');
+      screenshotButton.textContent = 'Save PNG';
+      screenshotButton.title = 'Save the display as it is shown, without the pixel grid';
+      screenshotButton.addEventListener('click', () => {
+        renderer.toPNG((blob) => {
+          if (blob) {
+            this.downloadFile(`chip8-screen-${this.chip8.frameCount}.png`, blob, 'image/png');
+          }
+        });
+      });
+      displayControl.appendChild(screenshotButton);
+      
+      container.appendChild(displayControl);
+    }
   }
\ No newline at end of file
@@ -0,0 +1,229 @@
+/**
+ * WatchpointManager - Pause when memory is accessed or a register changes
+ *
+ * Memory watchpoints cover an address range and fire on reads, writes or
+ * both, including the indirect accesses of DXYN, FX33, FX55 and FX65 (the
+ * emulator reports them through its 'memoryRead' and 'memoryWrite' events).
+ * Register watchpoints compare a register before and after each instruction
+ * and fire when it changes, or when it changes to a given value. The timers
+ * also count down between instructions, so DT and ST are compared again at
+ * every 60Hz tick (the emulator's 'frame' event).
+ *
+ * A trigger lets the instruction finish, then sets chip8.breakRequested so
+ * execution stops before the next one.
+ */
+const WATCHPOINT_REGISTERS = [
+  'V0', 'V1', 'V2', 'V3', 'V4', 'V5', 'V6', 'V7', 'V8', 'V9', 'VA', 'VB', 'VC', 'VD', 'VE', 'VF',
+  'I', 'SP', 'DT', 'ST'
+];
+
+function readWatchedRegister(chip8, register) {
+  switch (register) {
+    case 'I': return chip8.i;
+    case 'SP': return chip8.sp;
+    case 'DT': return chip8.delayTimer;
+    case 'ST': return chip8.soundTimer;
+    default: return chip8.v[parseInt(register[1], 16)];
+  }
+}
+
+class WatchpointManager {
+  constructor(chip8) {
+    this.chip8 = chip8;
+    this.watchpoints = [];
+    this.nextId = 1;
+    this.lastTrigger = null;   // First trigger of the instruction that stopped execution
+    this.onTrigger = null;     // Called with each trigger
+    this.before = null;        // Watched register values before the running instruction
+    this.timers = null;        // DT and ST as last compared, for the next timer tick
+    this.triggerInstruction = null;
+
+    this.listening = { memory: false, registers: false };
+    this.handlers = {
+      memoryRead: ({ address, value }) => this.checkMemory(address, 'read', value, value),
+      memoryWrite: ({ address, oldValue, value }) => this.checkMemory(address, 'write', oldValue, value),
+      beforeInstruction: () => this.captureRegisters(),
+      afterInstruction: () => this.checkRegisters(),
+      frame: (frame) => this.checkTimers(frame)
+    };
+  }
+
+  /**
+   * Watch a memory range (inclusive) for 'read', 'write' or 'readwrite' accesses
+   */
+  addMemory(start, end = start, access = 'write') {
+    if (!['read', 'write', 'readwrite'].includes(access)) {
+      throw new Error(`Unknown access type: ${access}`);
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end >= this.chip8.memory.length) {
+      throw new Error('Invalid memory range');
+    }
+    return this.add({ type: 'memory', start, end, access });
+  }
+
+  /**
+   * Watch a register for any change ('change'), or for changing to a value ('equals')
+   */
+  addRegister(register, mode = 'change', value = null) {
+    register = register.toUpperCase();
+    if (!WATCHPOINT_REGISTERS.includes(register)) {
+      throw new Error(`Unknown register: ${register}`);
+    }
+    if (mode !== 'change' && mode !== 'equals') {
+      throw new Error(`Unknown register watch mode: ${mode}`);
+    }
+    if (mode === 'equals' && (!Number.isInteger(value) || value < 0)) {
+      throw new Error('A register match needs a non-negative value');
+    }
+    return this.add({ type: 'register', register, mode, value: mode === 'equals' ? value : null });
+  }
+
+  add(watchpoint) {
+    const added = { id: this.nextId++, enabled: true, hits: 0, ...watchpoint };
+    this.watchpoints.push(added);
+    this.updateListeners();
+    return added;
+  }
+
+  remove(id) {
+    this.watchpoints = this.watchpoints.filter(watchpoint => watchpoint.id !== id);
+    if (this.lastTrigger && this.lastTrigger.watchpoint.id === id) {
+      this.lastTrigger = null;
+    }
+    this.updateListeners();
+  }
+
+  get(id) {
+    return this.watchpoints.find(watchpoint => watchpoint.id === id) || null;
+  }
+
+  list() {
+    return this.watchpoints.slice();
+  }
+
+  setEnabled(id, enabled) {
+    const watchpoint = this.get(id);
+    if (watchpoint) {
+      watchpoint.enabled = enabled;
+      this.updateListeners();
+    }
+  }
+
+  clear() {
+    this.watchpoints = [];
+    this.lastTrigger = null;
+    this.updateListeners();
+  }
+
+  // Only listen to the emulator while enabled watchpoints need it, so memory
+  // accesses cost nothing extra otherwise
+  updateListeners() {
+    const enabled = this.watchpoints.filter(watchpoint => watchpoint.enabled);
+    const wanted = {
+      memory: enabled.some(watchpoint => watchpoint.type === 'memory'),
+      registers: enabled.some(watchpoint => watchpoint.type === 'register')
+    };
+
+    const events = { memory: ['memoryRead', 'memoryWrite'], registers: ['beforeInstruction', 'afterInstruction', 'frame'] };
+    Object.keys(events).forEach(kind => {
+      if (wanted[kind] === this.listening[kind]) return;
+      events[kind].forEach(event => {
+        if (wanted[kind]) {
+          this.chip8.on(event, this.handlers[event]);
+        } else {
+          this.chip8.off(event, this.handlers[event]);
+        }
+      });
+      this.listening[kind] = wanted[kind];
+    });
+    this.before = null;
+    this.timers = null;
+  }
+
+  checkMemory(address, access, oldValue, newValue) {
+    for (const watchpoint of this.watchpoints) {
+      if (!watchpoint.enabled || watchpoint.type !== 'memory') continue;
+      if (address < watchpoint.start || address > watchpoint.end) continue;
+      if (watchpoint.access !== 'readwrite' && watchpoint.access !== access) continue;
+
+      this.trigger({ watchpoint, access, address, oldValue, newValue });
+    }
+  }
+
+  captureRegisters() {
+    this.timers = this.readTimers();
+    this.before = {};
+    for (const watchpoint of this.watchpoints) {
+      if (watchpoint.enabled && watchpoint.type === 'register') {
+        this.before[watchpoint.register] = readWatchedRegister(this.chip8, watchpoint.register);
+      }
+    }
+  }
+
+  checkRegisters() {
+    const before = this.before;
+    if (!before) return;
+    this.before = null;
+
+    for (const watchpoint of this.watchpoints) {
+      if (!watchpoint.enabled || watchpoint.type !== 'register' || !(watchpoint.register in before)) continue;
+
+      const oldValue = before[watchpoint.register];
+      const newValue = readWatchedRegister(this.chip8, watchpoint.register);
+      if (oldValue === newValue) continue;
+      if (watchpoint.mode === 'equals' && newValue !== watchpoint.value) continue;
+
+      this.trigger({ watchpoint, register: watchpoint.register, oldValue, newValue });
+    }
+    this.timers = this.readTimers();
+  }
+
+  readTimers() {
+    return { DT: this.chip8.delayTimer, ST: this.chip8.soundTimer };
+  }
+
+  // A 60Hz tick counted the timers down: compare DT and ST with their values
+  // after the last instruction or tick
+  checkTimers(frame) {
+    const before = this.timers;
+    this.timers = this.readTimers();
+    if (!before) return;
+
+    const tick = { frame };
+    for (const watchpoint of this.watchpoints) {
+      if (!watchpoint.enabled || watchpoint.type !== 'register' || !(watchpoint.register in before)) continue;
+
+      const oldValue = before[watchpoint.register];
+      const newValue = this.timers[watchpoint.register];
+      if (oldValue === newValue) continue;
+      if (watchpoint.mode === 'equals' && newValue !== watchpoint.value) continue;
+
+      this.trigger({ watchpoint, register: watchpoint.register, oldValue, newValue, frame }, tick);
+    }
+  }
+
+  /**
+   * Record a trigger of the running instruction, or of a timer tick ({ frame })
+   */
+  trigger(details, source = this.chip8.currentInstruction) {
+    const trigger = source.frame === undefined
+      ? { ...details, pc: source.pc, opcode: source.opcode }
+      : { ...details, pc: this.chip8.pc, opcode: null };
+
+    details.watchpoint.hits++;
+    // Keep the first trigger of the instruction or tick; later ones only count hits
+    if (this.triggerInstruction !== source) {
+      this.triggerInstruction = source;
+      this.lastTrigger = trigger;
+    }
+    this.chip8.breakRequested = true;
+
+    if (this.onTrigger) {
+      this.onTrigger(trigger);
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WatchpointManager, WATCHPOINT_REGISTERS };
+}
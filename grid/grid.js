@@ -16,6 +16,8 @@ function renderGrid(grid, elementId, cellSize) {
             if (cell.type == "ADDRESS_CELL") {
                 cellDiv.style.background = "pink"
                 cellDiv.id = cell.value
+            } else if (cell.address !== undefined) {
+                cellDiv.dataset.address = cell.address
             }
             cellDiv.innerHTML = cell.value
             container.appendChild(cellDiv)
@@ -46,16 +48,20 @@ function createGrid(w, h) {
     return { grid, setGridCell, removeGridCell }
 }
 
+// One row of the memory grid: its address cell, then a cell per byte
+// (the last row stops at the end of memory)
+function createMemoryRow(memory, start, columns) {
+    const row = [{ type: "ADDRESS_CELL", value: start }]
+    for (let j=start; j<start+columns && j<memory.length; j++) {
+        row.push({ type: 'MEMORY_CELL', value: memory[j], address: j })
+    }
+    return row
+}
+
 function createMemoryGrid(memory, columns) {
     const grid = [];
     for (let i=0; i<memory.length; i+=columns) {
-        const row = [{ type: "ADDRESS_CELL", value: i }]
-        for (let j=i; j<i+columns; j++) {
-            if (memory[j]) {
-                row.push({ type: 'MEMORY_CELL', value: memory[j] })
-            }
-        }
-        grid.push(row)
+        grid.push(createMemoryRow(memory, i, columns))
     }
 
     function setGridCell(x, y, val) {
@@ -78,4 +84,290 @@ function deleteGrid(elementId) {
     }
 }
 
-window.grid = { createGrid, createMemoryGrid, deleteGrid, renderGrid }
\ No newline at end of file
+// How the memory grid shows a byte: the radix, the digits it is padded to,
+// and the cell width that fits it
+const MEMORY_FORMATS = {
+    hex: { radix: 16, digits: 2, width: 25 },
+    dec: { radix: 10, digits: 1, width: 25 },
+    bin: { radix: 2, digits: 8, width: 64 },
+}
+const ADDRESS_CELL_WIDTH = 44
+const ASCII_CHAR_WIDTH = 8
+
+function formatByte(value, format) {
+    const { radix, digits } = MEMORY_FORMATS[format]
+    return value.toString(radix).padStart(digits, '0')
+}
+
+// A byte as a printable ASCII character, or '.'
+function byteToChar(value) {
+    return value >= 0x20 && value < 0x7F ? String.fromCharCode(value) : '.'
+}
+
+// A memory grid that only creates the rows in view. refresh() compares memory
+// with what was shown last time and updates just the cells that changed,
+// marking them so the change fades out (see .memory-changed in grid.css).
+class MemoryGridView {
+    constructor(container, getMemory, columns, cellSize = 25) {
+        this.container = container
+        this.getMemory = getMemory      // Memory is replaced on reset, so it's looked up each time
+        this.columns = columns
+        this.cellSize = cellSize
+        this.rowHeight = cellSize + 4   // Cell plus the grid gap
+        this.overscan = 4               // Rows rendered beyond each edge of the view
+        this.fadeTime = 2000            // Milliseconds a change stays highlighted
+        this.highlighted = null         // Address of the highlighted instruction
+        this.onRender = null            // Called after new rows are created, to decorate them
+        this.format = 'hex'             // Byte format, a key of MEMORY_FORMATS
+        this.showAscii = false          // Whether each row ends with its bytes as text
+        this.getRegion = null           // Address -> memory map region name, colored by a region-* class
+        this.describe = null            // Address -> tooltip text, asked for when a byte is hovered
+
+        this.shown = []                 // Bytes as last shown
+        this.changedAt = new Map()      // Address -> time its byte last changed
+        this.rows = new Map()           // Row start address -> { element, cells }
+        this.firstRow = 0
+        this.lastRow = -1
+
+        this.spacer = document.createElement('div')
+        this.spacer.className = 'memory-grid-spacer'
+        this.container.appendChild(this.spacer)
+        this.container.addEventListener('scroll', () => this.renderRows())
+        this.container.addEventListener('mouseover', (e) => {
+            if (this.describe && e.target.dataset && e.target.dataset.address !== undefined) {
+                e.target.title = this.describe(Number(e.target.dataset.address))
+            }
+        })
+
+        this.refresh()
+    }
+
+    setColumns(columns) {
+        if (!(columns >= 1) || columns === this.columns) return
+        const top = this.firstVisibleAddress()
+        this.columns = columns
+        this.rebuild()
+        this.scrollToAddress(top, 'top')
+    }
+
+    setFormat(format) {
+        if (!MEMORY_FORMATS[format] || format === this.format) return
+        this.format = format
+        this.rebuild()
+    }
+
+    setAscii(showAscii) {
+        if (showAscii === this.showAscii) return
+        this.showAscii = showAscii
+        this.rebuild()
+    }
+
+    // The radix bytes are shown in, so edits can be typed the same way
+    get radix() {
+        return MEMORY_FORMATS[this.format].radix
+    }
+
+    firstVisibleAddress() {
+        return Math.floor(this.container.scrollTop / this.rowHeight) * this.columns
+    }
+
+    // Drop every rendered row and render the ones in view again
+    rebuild() {
+        this.rows.forEach(row => row.element.remove())
+        this.rows.clear()
+        this.firstRow = 0
+        this.lastRow = -1
+
+        const rowCount = Math.ceil(this.getMemory().length / this.columns)
+        const width = ADDRESS_CELL_WIDTH + this.columns * (this.cellWidth() + 4) + (this.showAscii ? this.asciiWidth() + 4 : 0)
+        this.spacer.style.height = `${rowCount * this.rowHeight}px`
+        this.spacer.style.width = `${width}px`
+        this.renderRows()
+    }
+
+    cellWidth() {
+        return Math.max(this.cellSize, MEMORY_FORMATS[this.format].width)
+    }
+
+    asciiWidth() {
+        return this.columns * ASCII_CHAR_WIDTH + 8
+    }
+
+    // The bytes of a row as text, for the ASCII column
+    rowText(memory, start) {
+        let text = ''
+        for (let address = start; address < start + this.columns && address < memory.length; address++) {
+            text += byteToChar(memory[address])
+        }
+        return text
+    }
+
+    // Create the rows in view (plus the overscan) and remove the rest
+    renderRows() {
+        const memory = this.getMemory()
+        const rowCount = Math.ceil(memory.length / this.columns)
+        const visibleRows = Math.ceil((this.container.clientHeight || 300) / this.rowHeight)
+        const firstRow = Math.max(0, Math.floor(this.container.scrollTop / this.rowHeight) - this.overscan)
+        const lastRow = Math.min(rowCount - 1, firstRow + visibleRows + 2 * this.overscan)
+        if (firstRow === this.firstRow && lastRow === this.lastRow) return
+
+        this.rows.forEach((row, start) => {
+            const index = start / this.columns
+            if (index < firstRow || index > lastRow) {
+                row.element.remove()
+                this.rows.delete(start)
+            }
+        })
+
+        const now = MemoryGridView.now()
+        for (let index = firstRow; index <= lastRow; index++) {
+            const start = index * this.columns
+            if (this.rows.has(start)) continue
+
+            const element = document.createElement('div')
+            element.className = 'memory-row'
+            element.style.top = `${index * this.rowHeight}px`
+            element.style.gridTemplateColumns = `${ADDRESS_CELL_WIDTH}px repeat(${this.columns}, ${this.cellWidth()}px)` +
+                (this.showAscii ? ` ${this.asciiWidth()}px` : '')
+
+            const cells = []
+            createMemoryRow(memory, start, this.columns).forEach((cell) => {
+                const cellDiv = document.createElement('div')
+                if (cell.type == "ADDRESS_CELL") {
+                    cellDiv.className = 'address-cell'
+                    cellDiv.id = cell.value
+                    cellDiv.dataset.columns = this.columns
+                    cellDiv.textContent = `0x${cell.value.toString(16).padStart(3, '0')}`
+                } else {
+                    cellDiv.dataset.address = cell.address
+                    cellDiv.textContent = formatByte(cell.value, this.format)
+                    cells.push(cellDiv)
+                    this.applyRegion(cellDiv, cell.address)
+                    this.markChange(cellDiv, cell.address, now)
+                }
+                element.appendChild(cellDiv)
+            })
+
+            let ascii = null
+            if (this.showAscii) {
+                ascii = document.createElement('div')
+                ascii.className = 'ascii-cell'
+                ascii.textContent = this.rowText(memory, start)
+                element.appendChild(ascii)
+            }
+
+            this.spacer.appendChild(element)
+            this.rows.set(start, { element, cells, ascii })
+        }
+
+        this.firstRow = firstRow
+        this.lastRow = lastRow
+        this.applyHighlight()
+        if (this.onRender) {
+            this.onRender()
+        }
+    }
+
+    // Show the bytes that changed since the last refresh
+    refresh() {
+        const memory = this.getMemory()
+        if (memory.length !== this.shown.length) {
+            // A new memory size (XO-CHIP mode) starts over without highlighting everything
+            this.shown = memory.slice()
+            this.changedAt.clear()
+            this.rebuild()
+            return
+        }
+
+        const now = MemoryGridView.now()
+        for (let address = 0; address < memory.length; address++) {
+            if (memory[address] === this.shown[address]) continue
+            this.shown[address] = memory[address]
+            this.changedAt.set(address, now)
+
+            const start = address - address % this.columns
+            const row = this.rows.get(start)
+            if (row) {
+                const cell = row.cells[address % this.columns]
+                if (!cell.querySelector('input')) {
+                    cell.textContent = formatByte(memory[address], this.format)
+                }
+                if (row.ascii) {
+                    row.ascii.textContent = this.rowText(memory, start)
+                }
+                this.markChange(cell, address, now)
+            }
+        }
+
+        // Regions move when a ROM of another size is loaded
+        this.rows.forEach((row, start) => {
+            row.cells.forEach((cell, offset) => this.applyRegion(cell, start + offset))
+        })
+
+        // Forget changes that have faded out
+        this.changedAt.forEach((time, address) => {
+            if (now - time > this.fadeTime) this.changedAt.delete(address)
+        })
+    }
+
+    // Color a byte cell by the memory map region it's in
+    applyRegion(cell, address) {
+        const region = this.getRegion ? `region-${this.getRegion(address)}` : ''
+        if (cell.dataset.region === region) return
+        if (cell.dataset.region) cell.classList.remove(cell.dataset.region)
+        if (region) cell.classList.add(region)
+        cell.dataset.region = region
+    }
+
+    // Restart the fade of a changed cell, continuing from its age if it's been fading already
+    markChange(cell, address, now) {
+        const time = this.changedAt.get(address)
+        cell.classList.remove('memory-changed')
+        if (time === undefined || now - time > this.fadeTime) return
+
+        void cell.offsetWidth // Restart the animation
+        cell.style.animationDelay = `${time - now}ms`
+        cell.classList.add('memory-changed')
+    }
+
+    // Mark the two bytes of the instruction at an address
+    highlight(address) {
+        this.highlighted = address
+        this.applyHighlight()
+    }
+
+    applyHighlight() {
+        this.container.querySelectorAll('.current-instruction').forEach(cell => cell.classList.remove('current-instruction'))
+        if (this.highlighted === null) return
+
+        for (const address of [this.highlighted, this.highlighted + 1]) {
+            const cell = this.cell(address)
+            if (cell) cell.classList.add('current-instruction')
+        }
+    }
+
+    // The cell of a byte, if its row is rendered
+    cell(address) {
+        const row = this.rows.get(address - address % this.columns)
+        return row ? row.cells[address % this.columns] || null : null
+    }
+
+    isVisible(address) {
+        const top = Math.floor(address / this.columns) * this.rowHeight
+        return top >= this.container.scrollTop && top + this.rowHeight <= this.container.scrollTop + this.container.clientHeight
+    }
+
+    // Scroll the row holding an address into view ('center' or 'top')
+    scrollToAddress(address, position = 'center') {
+        if (!(address >= 0 && address < this.getMemory().length)) return
+        const top = Math.floor(address / this.columns) * this.rowHeight
+        this.container.scrollTop = position == 'top' ? top : top - (this.container.clientHeight - this.rowHeight) / 2
+        this.renderRows()
+    }
+
+    static now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now()
+    }
+}
+
+window.grid = { createGrid, createMemoryGrid, createMemoryRow, deleteGrid, renderGrid, MemoryGridView }
\ No newline at end of file
@@ -1,38 +1,59 @@
 document.addEventListener('DOMContentLoaded', () => {
-    // Initialize memory grid (original functionality)
+    // Initialize memory grid (only the rows in view are rendered)
     const memoryColumnsSettingInput = document.querySelector("#memory-columns-setting");
-    const memoryGrid = window.grid.createMemoryGrid(window.chip8.memory, Number(memoryColumnsSettingInput.value));
-    window.grid.renderGrid(memoryGrid, 'memory-grid', 25);
+    const memoryGrid = new window.grid.MemoryGridView(
+      document.querySelector('#memory-grid'),
+      () => window.chip8.memory,
+      Number(memoryColumnsSettingInput.value)
+    );
   
     // Update memory grid when column settings change
     memoryColumnsSettingInput.addEventListener("input", (e) => {
-      const memoryGrid = window.grid.createMemoryGrid(window.chip8.memory, Number(e.target.value));
-      window.grid.renderGrid(memoryGrid, 'memory-grid', 25);
+      memoryGrid.setColumns(Number(e.target.value));
+    });
+  
+    // Switch the byte format and the ASCII column
+    document.querySelector("#memory-format-setting").addEventListener("change", (e) => {
+      memoryGrid.setFormat(e.target.value);
+    });
+    document.querySelector("#memory-ascii-setting").addEventListener("change", (e) => {
+      memoryGrid.setAscii(e.target.checked);
     });
   
     // Set up address jumping
     const addressInput = document.querySelector("#address");
     addressInput.addEventListener("keypress", (e) => {
       if (e.key == 'Enter') {
-        const address = parseInt(e.target.value, 16);
-        const cell = document.getElementById(address);
-        if (cell) {
-          cell.scrollIntoView();
-        }
+        e.preventDefault(); // Don't submit the form
+        chip8Debugger.goToAddress(parseInt(e.target.value, 16));
       }
     });
   
     // Initialize the chip8Debugger
     const chip8Debugger = new Chip8Debugger(window.chip8);
+    chip8Debugger.memoryGridView = memoryGrid;
+    
+    // Color bytes by memory map region and describe them on hover
+    memoryGrid.getRegion = (address) => window.chip8.getMemoryRegion(address).name;
+    memoryGrid.describe = (address) => chip8Debugger.describeMemoryByte(address);
+    
+    // Decorate rows as they scroll into view
+    memoryGrid.onRender = () => {
+      chip8Debugger.updateMemoryGridBreakpoints();
+      chip8Debugger.updateMemoryGridSymbols();
+      chip8Debugger.updateMemoryGridHeatMap();
+    };
+    memoryGrid.onRender();
+    memoryGrid.refresh();
   
     // Set up automatic memory refresh based on emulation state
+    // (only the bytes that changed are redrawn, so this can run often)
     function updateMemoryGrid() {
-      const memoryGrid = window.grid.createMemoryGrid(window.chip8.memory, Number(memoryColumnsSettingInput.value));
-      window.grid.renderGrid(memoryGrid, 'memory-grid', 25);
+      memoryGrid.refresh();
       
       // Request next frame if we're running
       if (chip8Debugger.running) {
-        setTimeout(updateMemoryGrid, 500); // Update memory view every 500ms
+        setTimeout(updateMemoryGrid, 100); // Update memory view every 100ms
       }
     }
   
@@ -47,12 +68,16 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     };
   
-    // Listen for step button to update memory view
-    const originalStep = chip8Debugger.step;
-    chip8Debugger.step = function() {
-      originalStep.call(this);
-      updateMemoryGrid();
-    };
+    // Refresh the memory view after anything that changes the machine while paused
+    // (a reset may also change the memory size, and loading a ROM the regions)
+    ['step', 'stepBack', 'stepForward', 'rewind', 'forward', 'reset', 'restoreState', 'loadROMData', 'assembleAt', 'editValue'].forEach((method) => {
+      const original = chip8Debugger[method];
+      chip8Debugger[method] = function(...args) {
+        const result = original.apply(this, args);
+        updateMemoryGrid();
+        return result;
+      };
+    });
   
     // Create a simple custom ROM for testing if no ROM is loaded
     function createTestROM() {
@@ -80,16 +105,9 @@ document.addEventListener('DOMContentLoaded', () => {
       const testROMButton = document.createElement('button');
       testROMButton.textContent = 'Load Test ROM';
       testROMButton.addEventListener('click', () => {
-        // Reset the emulator
-        chip8Debugger.reset();
-        
-        // Load the test ROM
+        // Reset the emulator and load the test ROM
         const testROM = createTestROM();
-        window.chip8.loadROM(testROM);
-        
-        // Update the UI
-        chip8Debugger.updateUI();
-        updateMemoryGrid();
+        chip8Debugger.loadROMData(testROM);
         
         console.log('Test ROM loaded successfully.');
       });